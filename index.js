@@ -18,28 +18,93 @@ const POLL_INTERVAL = 5               // Poll every N seconds
 const SUBMIT_INTERVAL = 1             // Submit to server every N minutes
 const AIS_SUBMISSION_INTERVAL = 5     // Submit AIS data every N minutes
 const SEND_METADATA_INTERVAL = 1      // Submit to API every N hours
-const API_BASE = 'https://saillogger.com/api/v1/collector'
+const ALERT_INTERVAL = 15             // Evaluate local alerts every N seconds
+const DEFAULT_CACHE_SIZE = 50         // Thin out old cache entries beyond N MB
+const AIS_CACHE_SIZE = 5              // Thin out old AIS snapshots beyond N MB
+const DEFAULT_TRACK_RETENTION = 90    // Keep the local track archive for N days
+const MAX_IMPORT_SIZE = 50            // Largest log file accepted for import, in MB
+const BACKFILL_BATCH = 1000           // Imported rows moved into the local cache at a time
+const BODY_CHUNK = 1024 * 1024        // Characters of a parsed request body handled per tick
+const MAX_LOG_ENTRY_SIZE = 16 * 1024  // Largest crew logbook entry accepted, in bytes
+const DEFAULT_BATCH_SIZE = 60         // Rows per upload until the server asks for another size
+const MAX_BATCH_SIZE = 5000           // ...but never more than this
 
 const fs = require('fs')
 const filePath = require('path')
-const request = require('request')
+const { StringDecoder } = require('string_decoder')
 const { BufferStore, ConfigStore } = require('./lib/storage')
+const { TrackArchive, toGpx, toGeoJson, toKml } = require('./lib/track')
+const { PassageDetector } = require('./lib/passages')
+const { AnchorWatch } = require('./lib/anchor')
+const { ThresholdMonitor, mergeRules } = require('./lib/alerts')
+const { MaintenanceScheduler } = require('./lib/maintenance')
+const { AdaptiveSampler } = require('./lib/sampling')
+const { PositionSourceSelector } = require('./lib/gps')
+const { IntervalStats } = require('./lib/stats')
+const { computeTrueWind, WindDamper } = require('./lib/wind')
+const { GpsClock } = require('./lib/clock')
+const { ConnectionManager, parseRetryAfter } = require('./lib/connection')
+const { FORMATS, ENCODINGS } = require('./lib/batch')
+const { createUplink } = require('./lib/uplink')
+const { RequestSigner } = require('./lib/signing')
+const { PrivacyZones, anchorPositionIn, withAnchorPosition } = require('./lib/privacy')
+const { parseLogEntry } = require('./lib/logbook')
+const { LogParser, FORMATS: IMPORT_FORMATS } = require('./lib/importer')
+const { readLegacyCache } = require('./lib/sqlite')
+const { AIS_SNAPSHOT_FIELDS, mergeSnapshots, AisChangeTracker, CollisionMonitor } = require('./lib/ais')
+const { distance, METERS_PER_NAUTICAL_MILE } = require('./lib/geo')
 const { machineId, machineIdSync } = require('node-machine-id');
 const package = require('./package.json');
 const userAgent = `Saillogger plugin v${package.version}`;
 
+// Logged for every propulsion.* and electrical.generators.* instance
+const ENGINE_GROUPS = ['propulsion', 'electrical.generators'];
+const ENGINE_METRICS = ['runTime', 'revolutions', 'coolantTemperature', 'fuel.rate'];
+
 module.exports = function(app) {
   var plugin = {};
   var unsubscribes = [];
+  var monitoringUnsubscribes = [];
   var queueLength = 0;
   var aisSubmissionProcess;
   var sendMetadataProcess;
   var submitDataProcess;
+  var warmUpProcess;
+  var running = false;
+  var alertProcess;
   var metdataSubmitted = false;
   var bufferStore;
+  var aisStore;
+  var delayStore;
+  var privacyZones = new PrivacyZones();
+  var publicationDelay = 0;
+  var aisChanges = new AisChangeTracker();
+  var aisReplayInProgress = false;
   var configStore;
+  var trackArchive;
+  var importStore;
+  var backfillStore;
+  var legacyMigrated = 0;
+  var passageStore;
+  var passageDetector;
+  var passagesSavedOn;
+  var anchorWatch;
+  var collisionMonitor;
+  var anchorPosition;
+  var anchorRadius;
+  var thresholdMonitor;
+  var maintenanceStore;
+  var maintenanceScheduler;
+  var sampler;
+  var intervalStats = new IntervalStats();
+  var gpsClock = new GpsClock();
+  var connection = new ConnectionManager();
+  var connectionStore;
+  var secretStore;
+  var uplink;
+  var destinations = [];
   var uuid;
-  var gpsSource;
+  var positionSources;
   var configuration;
   var monitoringConfiguration;
   var retrieveMonitoringConfigInProgress;
@@ -50,11 +115,16 @@ module.exports = function(app) {
   var position;
   var speedOverGround;
   var maxSpeedOverGround;
-  var portEngineHours;
-  var starboardEngineHours;
+  var engines = {};
+  var generators = {};
   var courseOverGroundTrue;
   var windSpeedApparent = 0;
   var angleSpeedApparent;
+  var windInputs = {};
+  var windDamper = new WindDamper();
+  var trueWind;
+  var maxWindSpeedTrue = null;
+  var maxWindSpeedGround = null;
   var previousSpeeds = [];
   var previousCOGs = [];
   var deviceSerialNumber;
@@ -72,9 +142,24 @@ module.exports = function(app) {
 
   plugin.stop = function() {
     app.debug(`Stopping the plugin`);
+    // Callbacks of requests still in flight check this and do nothing
+    running = false;
+    clearTimeout(warmUpProcess);
     clearInterval(sendMetadataProcess);
     clearInterval(aisSubmissionProcess);
     clearInterval(submitDataProcess);
+    clearInterval(alertProcess);
+    monitoringUnsubscribes.forEach(f => f());
+    monitoringUnsubscribes = [];
+    unsubscribes.forEach(f => f());
+    unsubscribes = [];
+    if (passageDetector) {
+      // Keeps up to 10 minutes of an ongoing passage that would be lost otherwise
+      savePassages();
+    }
+    destinations.forEach(destination => destination.uplink.close());
+    destinations = [];
+    uplink = null;
   };
 
   plugin.schema = {
@@ -85,13 +170,325 @@ module.exports = function(app) {
         type: "string",
         title: "Collector ID (obtain free from https://saillogger.com/boats/)"
       },
+      uplink: {
+        type: "string",
+        title: "Where to send data",
+        enum: ["saillogger", "http", "mqtt"],
+        enumNames: ["Saillogger", "Self-hosted server (Saillogger collector API)", "MQTT broker"],
+        default: "saillogger"
+      },
+      uplinkUrl: {
+        type: "string",
+        title: "Base URL of the self-hosted server (e.g. https://shore.example.com/api/v1/collector) or MQTT broker URL (e.g. mqtt://broker.local)"
+      },
+      mqttTopic: {
+        type: "string",
+        title: "MQTT topic prefix (data is published under <prefix>/<collector ID>/)",
+        default: "saillogger"
+      },
+      collectors: {
+        type: "array",
+        title: "Additional collectors, e.g. a rally or race organiser, that receive the same log",
+        items: {
+          type: "object",
+          required: ["uuid"],
+          properties: {
+            uuid: {
+              type: "string",
+              title: "Collector ID"
+            },
+            uplink: {
+              type: "string",
+              title: "Where to send data",
+              enum: ["saillogger", "http", "mqtt"],
+              enumNames: ["Saillogger", "Self-hosted server (Saillogger collector API)", "MQTT broker"],
+              default: "saillogger"
+            },
+            uplinkUrl: {
+              type: "string",
+              title: "Base URL of the self-hosted server or MQTT broker URL"
+            },
+            mqttTopic: {
+              type: "string",
+              title: "MQTT topic prefix",
+              default: "saillogger"
+            }
+          }
+        }
+      },
       source: {
         type: "string",
         title: "GPS source (leave empty if unsure; details at https://saillogger.com/support/)"
+      },
+      sources: {
+        type: "array",
+        title: "Backup GPS sources in order of preference, used when the GPS source above stops sending positions",
+        items: {
+          type: "string",
+          title: "GPS source"
+        }
+      },
+      privacyZones: {
+        type: "array",
+        title: "Privacy zones, e.g. your home berth, where exact positions are not published (the local track keeps them)",
+        items: {
+          type: "object",
+          required: ["latitude", "longitude"],
+          properties: {
+            name: {
+              type: "string",
+              title: "Name"
+            },
+            latitude: {
+              type: "number",
+              title: "Latitude of the centre (decimal degrees)"
+            },
+            longitude: {
+              type: "number",
+              title: "Longitude of the centre (decimal degrees)"
+            },
+            radius: {
+              type: "number",
+              title: "Radius in meters",
+              default: 500
+            },
+            action: {
+              type: "string",
+              title: "Inside the zone",
+              enum: ["snap", "withhold"],
+              enumNames: ["Report the centre of the zone", "Leave the position out"],
+              default: "snap"
+            }
+          }
+        }
+      },
+      publicationDelay: {
+        type: "number",
+        title: "Publish positions only after N hours (0 to publish right away)",
+        default: 0
+      },
+      cacheSize: {
+        type: "number",
+        title: "Maximum local cache size in MB (older entries are thinned out beyond this)",
+        default: DEFAULT_CACHE_SIZE
+      },
+      cacheRows: {
+        type: "number",
+        title: "Maximum number of local cache entries (0 for no limit)",
+        default: 0
+      },
+      adaptiveSampling: {
+        type: "boolean",
+        title: "Log more often while tacking or manoeuvring and less often when moored",
+        default: true
+      },
+      publishTrueWind: {
+        type: "boolean",
+        title: "Publish true and ground wind computed from apparent wind into Signal K (leave off if your instruments already provide them)",
+        default: false
+      },
+      anchorAlarm: {
+        type: "boolean",
+        title: "Raise anchor drag alarms on board (notifications.navigation.anchor), also without internet access; leave off when the Signal K anchor alarm plugin raises them",
+        default: false
+      },
+      aisRange: {
+        type: "number",
+        title: "Only submit AIS targets within N nautical miles (0 for no limit)",
+        default: 0
+      },
+      aisClassBRange: {
+        type: "number",
+        title: "Only submit Class B AIS targets within N nautical miles (0 for no limit)",
+        default: 0
+      },
+      aisIgnoreMoored: {
+        type: "boolean",
+        title: "Do not submit moored AIS targets",
+        default: false
+      },
+      collisionAlarm: {
+        type: "boolean",
+        title: "Raise collision alarms (notifications.navigation.closestApproach.<mmsi>) for AIS targets on a collision course while underway",
+        default: false
+      },
+      collisionCpa: {
+        type: "number",
+        title: "...for targets passing closer than N nautical miles",
+        default: 0.5
+      },
+      collisionTcpa: {
+        type: "number",
+        title: "...within the next N minutes",
+        default: 15
+      },
+      alerts: {
+        type: "array",
+        title: "Local alerts, raised as Signal K notifications also without internet access (values in Signal K units, e.g. V, ratio, m, K, Pa)",
+        items: {
+          type: "object",
+          required: ["key"],
+          properties: {
+            key: {
+              type: "string",
+              title: "Signal K path, or a monitoring configuration key such as batteryVoltageKey or depthKey"
+            },
+            min: {
+              type: "number",
+              title: "Alert below"
+            },
+            max: {
+              type: "number",
+              title: "Alert above"
+            },
+            rate: {
+              type: "number",
+              title: "Alert when changing by more than this per minute"
+            },
+            staleAfter: {
+              type: "number",
+              title: "Alert when not updated for N seconds"
+            },
+            state: {
+              type: "string",
+              title: "Notification state",
+              enum: ["warn", "alert", "alarm", "emergency"],
+              default: "alert"
+            }
+          }
+        }
+      },
+      maintenance: {
+        type: "array",
+        title: "Engine maintenance items (reminders are raised as Signal K notifications when due)",
+        items: {
+          type: "object",
+          required: ["engine", "name"],
+          properties: {
+            engine: {
+              type: "string",
+              title: "Engine (propulsion instance, e.g. main, port or starboard)"
+            },
+            name: {
+              type: "string",
+              title: "Service item (e.g. Oil change, Impeller, Fuel filter)"
+            },
+            hours: {
+              type: "number",
+              title: "Every N engine hours"
+            },
+            days: {
+              type: "number",
+              title: "Every N days"
+            }
+          }
+        }
+      },
+      dataBudgetDaily: {
+        type: "number",
+        title: "Daily data budget in MB for metered links such as Iridium or roaming plans (0 for no limit; only positions are sent when it runs low)",
+        default: 0
+      },
+      dataBudgetMonthly: {
+        type: "number",
+        title: "Monthly data budget in MB (0 for no limit)",
+        default: 0
+      },
+      trackRetention: {
+        type: "number",
+        title: "Days to keep the local track archive for GPX/GeoJSON/KML export (0 to keep forever)",
+        default: DEFAULT_TRACK_RETENTION
       }
     }
   }
 
+  const trackFormats = {
+    gpx: { contentType: 'application/gpx+xml', render: toGpx },
+    geojson: { contentType: 'application/geo+json', render: toGeoJson },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', render: toKml }
+  };
+
+  plugin.registerWithRouter = function(router) {
+    for (const format in trackFormats) {
+      router.get(`/track.${format}`, (req, res) => sendTrack(req, res, format));
+    }
+    router.get('/maintenance', (req, res) => {
+      if (!maintenanceScheduler) {
+        res.status(503).send('Saillogger is not running');
+        return;
+      }
+      res.json({ items: maintenanceScheduler.status(), history: maintenanceScheduler.history });
+    });
+    router.post('/maintenance/:id/complete', (req, res) => {
+      if (!maintenanceScheduler) {
+        res.status(503).send('Saillogger is not running');
+        return;
+      }
+      try {
+        res.json(completeMaintenance(req.params.id, req.body || {}));
+      } catch (err) {
+        res.status(400).send(err.message);
+      }
+    });
+    router.post('/import', (req, res) => {
+      if (!bufferStore) {
+        res.status(503).send('Saillogger is not running');
+        return;
+      }
+      const format = req.query.format;
+      if (format && !IMPORT_FORMATS.includes(format)) {
+        res.status(400).send(`Unknown format ${format}; use one of ${IMPORT_FORMATS.join(', ')}`);
+        return;
+      }
+      const parser = new LogParser(format, app.selfContext);
+      streamBody(req, MAX_IMPORT_SIZE * 1024 * 1024, text => parser.write(text), err => {
+        if (err && err.tooLarge) {
+          res.status(413).send(`Log files larger than ${MAX_IMPORT_SIZE} MB cannot be imported; split them first`);
+          return;
+        }
+        try {
+          if (err) {
+            throw err;
+          }
+          res.json(importLog(parser.end()));
+        } catch (err) {
+          app.debug(`Failed to import log: ${err}`);
+          res.status(400).send(err.message);
+        }
+      });
+    });
+    router.post('/logbook', (req, res) => {
+      if (!bufferStore) {
+        res.status(503).send('Saillogger is not running');
+        return;
+      }
+      readBody(req, MAX_LOG_ENTRY_SIZE, (err, text) => {
+        if (err) {
+          res.status(err.tooLarge ? 413 : 400).send(err.message);
+          return;
+        }
+        let input = text;
+        try {
+          input = JSON.parse(text);
+        } catch (e) {
+          // Plain text is a note
+        }
+        try {
+          res.json(addLogEntry(input));
+        } catch (err) {
+          res.status(400).send(err.message);
+        }
+      });
+    });
+    router.get('/passages', (req, res) => {
+      if (!passageDetector) {
+        res.status(503).send('Saillogger is not running');
+        return;
+      }
+      res.json(passageDetector.toJSON());
+    });
+  }
+
   function startPlugin(options) {
     let platform = findPlatform();
     app.debug(`Running on ${platform}`);
@@ -105,20 +502,71 @@ module.exports = function(app) {
   
 
     uuid = options.uuid;
-    gpsSource = options.source;
+    const dataDir = app.getDataDirPath();
+    secretStore = new ConfigStore(filePath.join(dataDir, 'saillogger_secrets.json'), { mode: 0o600 });
+    try {
+      uplink = createUplink(options.uplink, options.uplinkUrl, uuid, {
+        userAgent: userAgent,
+        topic: options.mqttTopic,
+        signer: createSigner(uuid),
+        onTraffic: recordTraffic
+      });
+    } catch (err) {
+      app.debug(`Cannot set up the uplink: ${err.message}`);
+      app.setPluginError(`Cannot set up the uplink: ${err.message}`);
+      return
+    }
+    if (options.uplink && options.uplink != 'saillogger') {
+      app.debug(`Sending data to ${uplink.name}`);
+    }
+    positionSources = new PositionSourceSelector([options.source].concat(options.sources || []));
     deviceSerialNumber = machineIdSync();
 
     app.setPluginStatus('Saillogger started. Please wait 60 seconds for a status update.');
 
-    const dataDir = app.getDataDirPath();
-    bufferStore = new BufferStore(filePath.join(dataDir, 'saillogger_buffer.ndjson'));
+    connectionStore = new ConfigStore(filePath.join(dataDir, 'saillogger_connection.json'));
+    connection = new ConnectionManager({
+      daily: (options.dataBudgetDaily || 0) * 1024 * 1024,
+      monthly: (options.dataBudgetMonthly || 0) * 1024 * 1024
+    }, loadConnection());
+    setupDestinations(options);
+    bufferStore = new BufferStore(filePath.join(dataDir, 'saillogger_buffer.ndjson'), {
+      maxBytes: (options.cacheSize || DEFAULT_CACHE_SIZE) * 1024 * 1024,
+      maxRows: options.cacheRows || 0,
+      cursors: [].concat(...destinations.map(destination => [destination.uuid, positionCursor(destination)]))
+    });
+    delayStore = new BufferStore(filePath.join(dataDir, 'saillogger_delayed.ndjson'), {
+      fields: ['ts', 'latitude', 'longitude', 'anchorPosition', 'row']
+    });
+    privacyZones = new PrivacyZones((options.privacyZones || []).map(zone => ({ radius: 500, ...zone })));
+    publicationDelay = (options.publicationDelay || 0) * 60 * 60 * 1000;
+    aisStore = new BufferStore(filePath.join(dataDir, 'saillogger_ais.ndjson'), {
+      maxBytes: AIS_CACHE_SIZE * 1024 * 1024,
+      fields: AIS_SNAPSHOT_FIELDS,
+      merge: mergeSnapshots
+    });
     configStore = new ConfigStore(filePath.join(dataDir, 'saillogger_config.json'));
+    trackArchive = new TrackArchive(filePath.join(dataDir, 'saillogger_track'), {
+      retentionDays: options.trackRetention ?? DEFAULT_TRACK_RETENTION
+    });
+    trackArchive.prune();
+    importStore = new ConfigStore(filePath.join(dataDir, 'saillogger_imports.json'));
+    backfillStore = new BufferStore(filePath.join(dataDir, 'saillogger_backfill.ndjson'));
+    passageStore = new ConfigStore(filePath.join(dataDir, 'saillogger_passages.json'));
+    passageDetector = new PassageDetector(loadPassages());
+    anchorWatch = options.anchorAlarm ? new AnchorWatch() : null;
+    collisionMonitor = !options.collisionAlarm || options.collisionCpa === 0 ? null : new CollisionMonitor(options.collisionCpa ?? 0.5, options.collisionTcpa ?? 15);
+    sampler = options.adaptiveSampling === false ? null : new AdaptiveSampler();
+    thresholdMonitor = new ThresholdMonitor();
+    updateAlertRules();
+    maintenanceStore = new ConfigStore(filePath.join(dataDir, 'saillogger_maintenance.json'));
+    maintenanceScheduler = new MaintenanceScheduler(options.maintenance, loadMaintenance());
+    saveMaintenance();
+    registerMaintenancePutHandlers();
+    registerLogbookPutHandler();
+
+    migrateLegacyCache(filePath.join(dataDir, 'saillogger_v3.sqlite3'));
 
-    const legacySqlitePath = filePath.join(dataDir, 'saillogger_v3.sqlite3');
-    if (fs.existsSync(legacySqlitePath)) {
-      app.debug(`Legacy SQLite cache found at ${legacySqlitePath}; leaving it untouched.`);
-    }
-    
     let subscription = {
       context: 'vessels.self',
       subscribe: [{
@@ -137,14 +585,32 @@ module.exports = function(app) {
         path: 'environment.wind.angleApparent',
         period: POLL_INTERVAL * 1000
       }, {
-        path: 'propulsion.port.runTime',
+        path: 'navigation.datetime',
         period: POLL_INTERVAL * 1000
       }, {
-        path: 'propulsion.starboard.runTime',
+        path: 'navigation.headingTrue',
+        period: POLL_INTERVAL * 1000
+      }, {
+        path: 'navigation.speedThroughWater',
+        period: POLL_INTERVAL * 1000
+      }, {
+        path: 'navigation.anchor.position',
+        period: POLL_INTERVAL * 1000
+      }, {
+        path: 'navigation.anchor.maxRadius',
         period: POLL_INTERVAL * 1000
       }]
     };
+    for (const group of ENGINE_GROUPS) {
+      for (const metric of ENGINE_METRICS) {
+        subscription.subscribe.push({
+          path: `${group}.*.${metric}`,
+          period: POLL_INTERVAL * 1000
+        });
+      }
+    }
 
+    running = true;
     app.subscriptionmanager.subscribe(subscription, unsubscribes, function() {
       app.error('Subscription error');
     }, data => processDelta(data));
@@ -154,7 +620,7 @@ module.exports = function(app) {
     sendMetadata();
 
     // Refresh data after a warm-up period
-    setTimeout( function() {
+    warmUpProcess = setTimeout( function() {
       sendMetadata();
       sendAisTargets();
       updatePluginStatus();
@@ -162,12 +628,19 @@ module.exports = function(app) {
 
     sendMetadataProcess = setInterval( function() {
       sendMetadata();
+      trackArchive.prune();
     }, SEND_METADATA_INTERVAL * 60 * 60 * 1000);
 
     aisSubmissionProcess = setInterval( function() {
       sendAisTargets();
     }, AIS_SUBMISSION_INTERVAL * 60 * 1000);
 
+    alertProcess = setInterval( function() {
+      checkAlerts();
+      checkMaintenance();
+      checkCollisions();
+    }, ALERT_INTERVAL * 1000);
+
     submitDataProcess = setInterval( function () {
       let now = Date.now();
       if ((!submitLastCalled) || (now - submitLastCalled > 2 * SUBMIT_INTERVAL * 60 * 1000)) {
@@ -177,6 +650,29 @@ module.exports = function(app) {
     }, SUBMIT_INTERVAL * 60 * 1000);
   }
 
+  // One-time move of the rows left in the SQLite cache of older plugin
+  // versions into the buffer. The file is renamed afterwards so it is not
+  // migrated twice; when it cannot be read it is left in place.
+  function migrateLegacyCache(legacyPath) {
+    if (!fs.existsSync(legacyPath)) {
+      return;
+    }
+    try {
+      const { rows, skipped } = readLegacyCache(legacyPath);
+      queueRows(rows);
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(legacyPath + suffix)) {
+          fs.renameSync(legacyPath + suffix, legacyPath + suffix + '.migrated');
+        }
+      }
+      legacyMigrated = rows.length;
+      app.debug(`Migrated ${rows.length} row(s) from the legacy SQLite cache at ${legacyPath}` +
+                (skipped ? `, skipped ${skipped} without a valid timestamp` : ''));
+    } catch (err) {
+      app.debug(`Failed to migrate the legacy SQLite cache at ${legacyPath}: ${err}`);
+    }
+  }
+
   function updatePluginStatus() {
     try {
       let message;
@@ -192,6 +688,56 @@ module.exports = function(app) {
       } else {
         message += ` no successful connection to the server since restart.`;
       }
+      message += ` ${formatBytes(connection.total.sent)} sent and ${formatBytes(connection.total.received)} received since restart`;
+      if (connection.dailyBudget || connection.monthlyBudget) {
+        message += `, ${formatBytes(connection.day.sent + connection.day.received)} today and ${formatBytes(connection.month.sent + connection.month.received)} this month`;
+        const mode = connection.budgetMode();
+        if (mode == 'exhausted') {
+          message += ', data budget used up, uploads paused';
+        } else if (mode == 'positionOnly') {
+          message += ', data budget running low, sending positions only';
+        }
+      }
+      message += '.';
+      if (connection.failures) {
+        message += ` ${connection.failures} failed upload(s) in a row, next attempt ${timeUntil(connection.nextAttempt)}.`;
+      }
+      for (const destination of destinations.slice(1)) {
+        message += ` Collector ${destination.uuid}: ${bufferStore.count(destination.uuid)} entries waiting`;
+        message += destination.lastSuccess ? `, last connection ${timeSince(destination.lastSuccess)}` : ', not connected since restart';
+        if (destination.connection.failures) {
+          message += `, next attempt ${timeUntil(destination.connection.nextAttempt)}`;
+        }
+        message += '.';
+      }
+      if (gpsClock.offset) {
+        message += ` System clock is off by ${Math.round(gpsClock.offset / 1000)} seconds, logging in GPS time.`;
+      }
+      if (positionSources && positionSources.active) {
+        message += ` GPS source ${positionSources.active}`;
+        if (positionSources.lastFailover) {
+          message += `, ${positionSources.failovers} failover(s), last ${timeSince(positionSources.lastFailover.ts)} from ${positionSources.lastFailover.from}`;
+        }
+        message += '.';
+      }
+      if (bufferStore && bufferStore.downsampled.rows) {
+        message += ` ${bufferStore.downsampled.rows} old entries merged to stay within the cache limit (${timeSince(bufferStore.downsampled.at)}).`;
+      }
+      if (backfillStore && backfillStore.count()) {
+        message += ` ${backfillStore.count()} imported entries waiting to join the local cache.`;
+      }
+      if (delayStore && delayStore.count()) {
+        message += ` ${delayStore.count()} row(s) or position(s) held back until the publication delay has passed.`;
+      }
+      if (aisStore && aisStore.count() > 1) {
+        message += ` ${aisStore.count()} AIS snapshots waiting to be sent.`;
+      }
+      if (legacyMigrated) {
+        message += ` ${legacyMigrated} entries migrated from the legacy SQLite cache.`;
+      }
+      if (bufferStore && bufferStore.quarantined) {
+        message += ` ${bufferStore.quarantined} corrupt cache line(s) quarantined.`;
+      }
       app.setPluginStatus(message);
     } catch (err) {
       app.debug('Error querying the local cache:', err);
@@ -256,6 +802,8 @@ module.exports = function(app) {
       if (cfg) {
         app.debug('Configuration loaded from local storage');
         monitoringConfiguration = cfg;
+        updateAlertRules();
+        subscribeMonitoringKeys();
       } else {
         app.debug('No locally stored configuration found');
       }
@@ -264,36 +812,94 @@ module.exports = function(app) {
     }
   }
 
+  function loadPassages() {
+    passagesSavedOn = Date.now();
+    try {
+      return passageStore.load();
+    } catch (err) {
+      app.debug(`Failed to load passages: ${err}`);
+      return null;
+    }
+  }
+
+  function savePassages() {
+    try {
+      passageStore.save(passageDetector.toJSON());
+      passagesSavedOn = Date.now();
+    } catch (err) {
+      app.debug(`Failed to store passages locally ${err}`);
+    }
+  }
+
+  function updatePassage(event) {
+    if (event) {
+      app.debug(`Passage event: ${event}`);
+      savePassages();
+    } else if (passageDetector.state == 'underway' && Date.now() - passagesSavedOn > 10 * 60 * 1000) {
+      savePassages();
+    }
+  }
+
   function getConfiguration() {
+    if (!running) {
+      return;
+    }
     if (retrieveMonitoringConfigInProgress) {
       app.debug('Monitoring configuration retrieval already in progress');
       return;
     }
     retrieveMonitoringConfigInProgress = true;
     app.debug('Retrieving monitoring configuration');
-    let options = {
-      uri: API_BASE + '/monitoring/' + uuid + '/configuration',
-      method: 'GET',
-      headers: {
-        'User-Agent': userAgent,
-      },
-      timeout: 15000
-    };
-    request.get(options, function (error, response, body) {
-      if (!error && response.statusCode == 200) {
-        monitoringConfiguration = JSON.parse(body);
-        app.debug(`Monitoring configuration: ${JSON.stringify(monitoringConfiguration)}`);
-        saveConfiguration();
-	updateDatabase();
-      } else {
-        app.debug('Failed to get monitoring configuration, trying to load from local storage');
-        loadConfiguration();
+    uplink.getConfiguration(function (error, response, body) {
+      // A retained MQTT message may hold anything, and this can run inside
+      // processDelta, so a bad payload must neither throw nor leave the
+      // retrieval flagged as in progress
+      try {
+        if (!running) {
+          return;
+        }
+        let received = null;
+        if (!error && response.statusCode == 200) {
+          try {
+            received = typeof body === 'string' ? JSON.parse(body) : body;
+          } catch (err) {
+            app.debug(`Invalid monitoring configuration received: ${err}`);
+          }
+        }
+        if (received && typeof received === 'object' && !Array.isArray(received)) {
+          monitoringConfiguration = received;
+          app.debug(`Monitoring configuration: ${JSON.stringify(monitoringConfiguration)}`);
+          saveConfiguration();
+          updateAlertRules();
+          subscribeMonitoringKeys();
+          updateDatabase();
+        } else {
+          app.debug('Failed to get monitoring configuration, trying to load from local storage');
+          loadConfiguration();
+        }
+      } finally {
+        retrieveMonitoringConfigInProgress = false;
       }
-      retrieveMonitoringConfigInProgress = false;
     });
   }
 
+  // Plugin settings as reported with the metadata. Privacy zones would give
+  // away the home berth, and the other collectors, a self-hosted server's URL
+  // and the local alert rules are no business of the collector.
+  function publicConfiguration(options) {
+    const { privacyZones, collectors, uplinkUrl, alerts, ...rest } = options || {};
+    return rest;
+  }
+
   function sendMetadata() {
+    if (!running) {
+      return;
+    }
+    if (connection.budgetMode() != 'normal') {
+      app.debug('Data budget running low, skipping metadata');
+      return;
+    }
+
     function getAllKeys(obj, parentKey = '', result = []) {
       for (let key in obj) {
         if (obj.hasOwnProperty(key)) {
@@ -330,22 +936,16 @@ module.exports = function(app) {
       signalk_version: app.config.version,
       platform: findPlatform(),
       serial_number: deviceSerialNumber,
-      configuration: configuration,
-      available_keys: availableKeys
+      configuration: publicConfiguration(configuration),
+      available_keys: availableKeys,
+      maintenance: maintenanceScheduler.toJSON()
     }
 
-    let postData = {
-      uri: API_BASE + '/' + uuid + '/update',
-      method: 'POST',
-      json: JSON.stringify(data),
-      headers: {
-        'User-Agent': userAgent,
-      },
-      timeout: 45000
-    };
-
     app.debug (`Sending metadata`);
-    request(postData, function (error, response, body) {
+    uplink.sendMetadata(data, function (error, response, body) {
+      if (!running) {
+        return;
+      }
       if (!error && response.statusCode == 200) {
         app.debug('Successfully submitted metadata');
         lastSuccessfulUpdate = Date.now();
@@ -386,6 +986,9 @@ module.exports = function(app) {
       if (!("navigation" in vessel) || !("position" in vessel.navigation)) {
         continue;
       }
+      if (!isAisTargetWanted(vessel)) {
+        continue;
+      }
       detectedTargets.push(vessel.mmsi);
       let position = vessel.navigation.position.value;
       let date = new Date(vessel.navigation.position.timestamp);
@@ -429,7 +1032,6 @@ module.exports = function(app) {
       if (!(vessel.mmsi in aisTarget)) {
         app.debug(`Inserting AIS vessel ${vessel.mmsi} details`);
         aisTarget[vessel.mmsi] = {
-          counter: 0,
           updated: timeStamp,
           name: name,
           position: position,
@@ -446,17 +1048,20 @@ module.exports = function(app) {
         aisTarget[vessel.mmsi].speed = speed;
         aisTarget[vessel.mmsi].heading = heading;
         aisTarget[vessel.mmsi].type = shipType;
-        if (aisTarget[vessel.mmsi].counter++ == 30) {
-          app.debug(`Sending full vessel details for ${vessel.mmsi}`);
-          aisTarget[vessel.mmsi].counter = 0;
-          aisTarget[vessel.mmsi].vessel = getVesselDetails(vessel);
-        } else {
-          delete aisTarget[vessel.mmsi].vessel;
-        }  
+        aisTarget[vessel.mmsi].vessel = getVesselDetails(vessel);
       } else {
         app.debug(`AIS vessel ${vessel.mmsi} details not changed`);
       }
-      
+
+      let approach = collisionMonitor ? collisionMonitor.approaches[vessel.mmsi] : null;
+      if (approach) {
+        aisTarget[vessel.mmsi].cpa = Math.round(approach.cpa / METERS_PER_NAUTICAL_MILE * 100) / 100;   // Nautical miles
+        aisTarget[vessel.mmsi].tcpa = Math.round(approach.tcpa / 60 * 10) / 10;     // Minutes
+      } else {
+        delete aisTarget[vessel.mmsi].cpa;
+        delete aisTarget[vessel.mmsi].tcpa;
+      }
+
     }
     // Remove vessels that moved out of range
     for (let mmsi in aisTarget) {
@@ -466,6 +1071,24 @@ module.exports = function(app) {
     }
   }
 
+  // Applies the configured range, Class B range and moored vessel filters
+  function isAisTargetWanted(vessel) {
+    if (configuration.aisIgnoreMoored && vessel.navigation.state?.value == 'moored') {
+      return false;
+    }
+    if (!position) {
+      return true;
+    }
+    let range = distance(position, vessel.navigation.position.value) / METERS_PER_NAUTICAL_MILE;
+    if (configuration.aisRange && range > configuration.aisRange) {
+      return false;
+    }
+    if (configuration.aisClassBRange && vessel.sensors?.ais?.class?.value == 'B' && range > configuration.aisClassBRange) {
+      return false;
+    }
+    return true;
+  }
+
   function updateDatabase() {
     if ((!position) || (!position.changedOn)) {
       return
@@ -476,8 +1099,16 @@ module.exports = function(app) {
     if (updateLastCalled) {
       timeSinceLastUpdate = dateNow  - updateLastCalled;
     }
-    if ((timeSinceLastUpdate) && (timeSinceLastUpdate < SUBMIT_INTERVAL * 60 * 1000)) {
-      // Multiple GPS sources, updates coming in too frequently
+    let samplingInterval = SUBMIT_INTERVAL * 60 * 1000;
+    if (sampler) {
+      let mode = sampler.mode;
+      samplingInterval = sampler.update(previousSpeeds, previousCOGs, dateNow);
+      if (sampler.mode != mode) {
+        app.debug(`Vessel ${sampler.mode}, logging every ${samplingInterval / 1000} seconds`);
+      }
+    }
+    if ((timeSinceLastUpdate) && (timeSinceLastUpdate < samplingInterval)) {
+      // Not due yet, or multiple GPS sources sending updates too frequently
       return;
     }
     updateLastCalled = dateNow;
@@ -498,22 +1129,40 @@ module.exports = function(app) {
       courseOverGroundTrue: courseOverGroundTrue,
       windSpeedApparent: windSpeedApparent,
       angleSpeedApparent: angleSpeedApparent,
-      portEngineHours: portEngineHours,
-      starboardEngineHours: starboardEngineHours,
-      additionalData: monitoringDataInJson
+      portEngineHours: engines.port?.hours ?? null,
+      starboardEngineHours: engines.starboard?.hours ?? null,
+      windSpeedTrue: maxWindSpeedTrue,
+      windAngleTrue: trueWind ? radiantToDegrees(trueWind.angleTrueWater) : null,
+      windSpeedGround: maxWindSpeedGround,
+      windDirectionGround: trueWind ? radiantToDegrees(trueWind.directionGround) : null,
+      additionalData: monitoringDataInJson,
+      passage: passageDetector.rowInfo(),
+      engines: Object.keys(engines).length ? engines : null,
+      generators: Object.keys(generators).length ? generators : null,
+      stats: intervalStats.summary()
     };
 
     if (!dBInsertInProgress) {
       dBInsertInProgress = true;
       try {
-        bufferStore.insert(row);
+        queueRows([row]);
         app.debug(`Inserted logging and monitoring data into the local cache`);
+        try {
+          trackArchive.append(row);
+        } catch (err) {
+          app.debug(`Failed to append to the track archive: ${err}`);
+        }
         queueLength++;
         windSpeedApparent = 0;
         maxSpeedOverGround = 0;
-	portEngineHours = null;
-	starboardEngineHours = null;
-        submitDataToServer();
+        maxWindSpeedTrue = null;
+        maxWindSpeedGround = null;
+        engines = {};
+        generators = {};
+        intervalStats.reset();
+        if ((!submitLastCalled) || (dateNow - submitLastCalled >= SUBMIT_INTERVAL * 60 * 1000)) {
+          submitDataToServer();
+        }
       } catch (err) {
         app.debug(`Failed to insert data: ${err}`);
       } finally {
@@ -522,12 +1171,385 @@ module.exports = function(app) {
     }
   }
 
+  function updateClock(datetime) {
+    if (!gpsClock.update(datetime)) {
+      return;
+    }
+    if (!gpsClock.offset) {
+      app.debug('System clock agrees with GPS time');
+      return;
+    }
+    app.debug(`System clock is off by ${gpsClock.offset} ms from GPS time`);
+    try {
+      const repaired = [bufferStore, aisStore, delayStore, backfillStore, trackArchive]
+        .reduce((count, store) => count + store.repairTimestamps(ts => gpsClock.repair(ts)), 0);
+      if (repaired) {
+        app.debug(`Repaired the timestamp of ${repaired} cached row(s) and track point(s)`);
+      }
+    } catch (err) {
+      app.debug(`Failed to repair cached timestamps: ${err}`);
+    }
+    updatePluginStatus();
+  }
+
+  // Rows go into the cache as they may be published: with privacy zones
+  // applied and, while a publication delay is set, rows with a position (the
+  // boat's or the anchor's) newer than the delay are held in the delay store.
+  // Servers that announce delayedPositions in the monitoring configuration get
+  // the monitoring data in those rows right away, without the positions.
+  function queueRows(rows) {
+    rows = rows.map(row => privacyZones.apply(row));
+    const cutoff = gpsClock.now() - publicationDelay;
+    const split = takesDelayedPositions();
+    const queued = [];
+    for (const row of rows) {
+      const anchor = anchorPositionIn(row.additionalData);
+      if (!publicationDelay || row.ts <= cutoff || (row.latitude == null && !anchor)) {
+        queued.push(row);
+      } else if (split) {
+        delayStore.insert({ ts: row.ts, latitude: row.latitude, longitude: row.longitude, anchorPosition: anchor });
+        queued.push({ ...row, latitude: null, longitude: null, additionalData: withAnchorPosition(row.additionalData, null) });
+      } else {
+        delayStore.insert({ ts: row.ts, row: row });
+      }
+    }
+    bufferStore.insertMany(queued);
+  }
+
+  // Other collectors have not told whether they understand the event
+  function takesDelayedPositions() {
+    return destinations.length == 1 && monitoringConfiguration?.delayedPositions === true;
+  }
+
+  // Held rows join the cache once old enough. Held positions are sent in a
+  // row of its own carrying a delayedPositions event:
+  //
+  //   { type: 'delayedPositions', positions: [{ ts, latitude, longitude, anchorPosition }] }
+  //
+  // Each ts is that of a row sent earlier without its position, which the
+  // server fills in. The row itself has the time of release and no position,
+  // so it does not collide with the rows it completes.
+  function releaseDelayedPositions() {
+    const cutoff = gpsClock.now() - publicationDelay;
+    try {
+      const released = [];
+      for (const held of delayStore.peek(1000)) {
+        if (held.ts > cutoff) {
+          break;
+        }
+        released.push(held);
+      }
+      if (!released.length) {
+        return;
+      }
+      // The held ts, not the row's, is the one the clock repair keeps right
+      const rows = released.filter(held => held.row).map(held => ({ ...held.row, ts: held.ts }));
+      const positions = released.filter(held => !held.row)
+        .map(held => ({ ts: held.ts, latitude: held.latitude, longitude: held.longitude, anchorPosition: held.anchorPosition }));
+      if (positions.length) {
+        rows.push({
+          ts: gpsClock.now(),
+          latitude: null,
+          longitude: null,
+          events: [{ type: 'delayedPositions', positions: positions }]
+        });
+      }
+      bufferStore.insertMany(rows);
+      delayStore.deleteUpTo(released[released.length - 1].ts, undefined, released.length);
+      app.debug(`Released ${released.length} delayed row(s) and position(s) for publication`);
+    } catch (err) {
+      app.debug(`Failed to release delayed positions: ${err}`);
+    }
+  }
+
+  // Logs an event as its own cache row so it reaches the server even when it
+  // happens between two regular rows.
+  function logEvent(event) {
+    const row = {
+      ts: gpsClock.now(),
+      latitude: position ? position.latitude : null,
+      longitude: position ? position.longitude : null,
+      passage: passageDetector.rowInfo(),
+      events: [event]
+    };
+    try {
+      queueRows([row]);
+      queueLength++;
+    } catch (err) {
+      app.debug(`Failed to log ${event.type} event: ${err}`);
+    }
+    return row;
+  }
+
+  function sendNotification(path, state, message) {
+    app.handleMessage(plugin.id, {
+      updates: [{
+        values: [{
+          path: 'notifications.' + path,
+          value: {
+            state: state,
+            method: state == 'normal' ? [] : ['visual', 'sound'],
+            message: message
+          }
+        }]
+      }]
+    });
+  }
+
+  // Server rules come with the monitoring configuration; rules from the plugin
+  // settings take precedence for the same key.
+  function updateAlertRules() {
+    const rules = mergeRules(monitoringConfiguration?.alerts, configuration.alerts);
+    thresholdMonitor.setRules(rules, key => {
+      if (monitoringConfiguration && typeof monitoringConfiguration[key] === 'string') {
+        return monitoringConfiguration[key];
+      }
+      return /Key$/.test(key) ? null : key;
+    });
+  }
+
+  // Every value named by the monitoring configuration is collected between
+  // rows so the statistics catch what single snapshots would miss.
+  function subscribeMonitoringKeys() {
+    monitoringUnsubscribes.forEach(f => f());
+    monitoringUnsubscribes = [];
+
+    let paths = new Set();
+    for (let key in monitoringConfiguration) {
+      if (/Key$/.test(key) && typeof monitoringConfiguration[key] === 'string' && monitoringConfiguration[key]) {
+        paths.add(monitoringConfiguration[key]);
+      }
+    }
+    for (let key of monitoringConfiguration.additionalDataKeys || []) {
+      paths.add(key);
+    }
+    if (paths.size == 0) {
+      return;
+    }
+
+    let subscription = {
+      context: 'vessels.self',
+      subscribe: [...paths].map(path => ({
+        path: path,
+        period: POLL_INTERVAL * 1000
+      }))
+    };
+    app.subscriptionmanager.subscribe(subscription, monitoringUnsubscribes, function() {
+      app.error('Monitoring subscription error');
+    }, data => processMonitoringDelta(data));
+  }
+
+  function processMonitoringDelta(data) {
+    for (let update of data.updates || []) {
+      for (let v of update.values || []) {
+        let isAngle = v.path == monitoringConfiguration.windDirectionKey || /angle|direction|heading|course/i.test(v.path);
+        intervalStats.add(v.path, v.value, isAngle ? 2 * Math.PI : null);
+      }
+    }
+  }
+
+  function checkAlerts() {
+    let changes;
+    try {
+      changes = thresholdMonitor.check(path => app.getSelfPath(path));
+    } catch (err) {
+      app.debug(`Failed to evaluate local alerts: ${err}`);
+      return;
+    }
+    for (const change of changes) {
+      app.debug(change.message);
+      sendNotification(change.path, change.state, change.message);
+      logEvent({ type: 'alert', ...change });
+    }
+  }
+
+  function loadMaintenance() {
+    try {
+      return maintenanceStore.load();
+    } catch (err) {
+      app.debug(`Failed to load maintenance records: ${err}`);
+      return null;
+    }
+  }
+
+  function saveMaintenance() {
+    try {
+      maintenanceStore.save(maintenanceScheduler.toJSON());
+    } catch (err) {
+      app.debug(`Failed to store maintenance records locally ${err}`);
+    }
+  }
+
+  function completeMaintenance(id, details) {
+    const record = maintenanceScheduler.complete(id, details);
+    app.debug(`Maintenance ${id} completed at ${record.hours} engine hours`);
+    saveMaintenance();
+    checkMaintenance();
+    return record;
+  }
+
+  // A PUT to propulsion.<engine>.maintenance.<item> marks the item as done;
+  // the value may carry { hours, date, notes }.
+  function registerMaintenancePutHandlers() {
+    if (!app.registerPutHandler) {
+      return;
+    }
+    for (const item of maintenanceScheduler.items) {
+      app.registerPutHandler('vessels.self', item.path, (context, path, value) => {
+        try {
+          completeMaintenance(item.id, value && typeof value === 'object' ? value : {});
+          return { state: 'COMPLETED', statusCode: 200 };
+        } catch (err) {
+          return { state: 'COMPLETED', statusCode: 400, message: err.message };
+        }
+      }, plugin.id);
+    }
+  }
+
+  // Crew entries are logged like any other event, with the time and position
+  // they were made at, and go out with the next upload
+  function addLogEntry(input) {
+    const entry = parseLogEntry(input);
+    const row = logEvent(entry);
+    app.debug(`Logbook entry: ${JSON.stringify(entry)}`);
+    updatePluginStatus();
+    return { ts: row.ts, latitude: row.latitude, longitude: row.longitude, ...entry };
+  }
+
+  // A PUT to saillogger.logbook adds an entry; the value is plain text or an
+  // entry object as accepted by POST /logbook.
+  function registerLogbookPutHandler() {
+    if (!app.registerPutHandler) {
+      return;
+    }
+    app.registerPutHandler('vessels.self', 'saillogger.logbook', (context, path, value) => {
+      try {
+        addLogEntry(value);
+        return { state: 'COMPLETED', statusCode: 200 };
+      } catch (err) {
+        return { state: 'COMPLETED', statusCode: 400, message: err.message };
+      }
+    }, plugin.id);
+  }
+
+  function checkMaintenance() {
+    for (const change of maintenanceScheduler.check()) {
+      app.debug(change.message);
+      sendNotification(change.path, change.state, change.message);
+    }
+  }
+
+  function checkAnchor() {
+    if (!anchorWatch) {
+      return;
+    }
+    const change = anchorWatch.update(position, anchorPosition, anchorRadius);
+    if (!change) {
+      return;
+    }
+    let message;
+    if (change.state == 'normal') {
+      message = 'Anchor holding';
+    } else {
+      message = `Anchor dragging: ${change.distance} m from the anchor, alarm radius ${change.radius} m`;
+    }
+    app.debug(message);
+    sendNotification('navigation.anchor', change.state, message);
+    logEvent({ type: 'anchorAlarm', ...change });
+  }
+
+  function checkCollisions() {
+    if (!collisionMonitor || !position) {
+      return;
+    }
+    const own = {
+      position: position,
+      speed: getKeyValue('navigation.speedOverGround', 60),
+      course: getKeyValue('navigation.courseOverGroundTrue', 60)
+    };
+    const targets = {};
+    const names = {};
+    const vessels = app.getPath('vessels');
+    for (let key in vessels) {
+      const vessel = vessels[key];
+      if (!vessel.mmsi || vessel.mmsi == selfMmsi || !vessel.navigation?.position?.value) {
+        continue;
+      }
+      targets[vessel.mmsi] = {
+        position: vessel.navigation.position.value,
+        speed: vessel.navigation.speedOverGround?.value,
+        course: vessel.navigation.courseOverGroundTrue?.value ?? vessel.navigation.headingTrue?.value,
+        ts: new Date(vessel.navigation.position.timestamp).getTime()
+      };
+      names[vessel.mmsi] = vessel.name || vessel.mmsi;
+    }
+
+    let changes;
+    try {
+      changes = collisionMonitor.update(own, targets);
+    } catch (err) {
+      app.debug(`Failed to compute closest approaches: ${err}`);
+      return;
+    }
+    for (const change of changes) {
+      let message;
+      if (change.state == 'normal') {
+        message = `${names[change.mmsi] || change.mmsi} no longer on a collision course`;
+      } else {
+        const cpa = (change.cpa / METERS_PER_NAUTICAL_MILE).toFixed(2);
+        const tcpa = Math.round(change.tcpa / 60);
+        message = `${names[change.mmsi]} will pass within ${cpa} nm in ${tcpa} minutes`;
+        logEvent({ type: 'closestApproach', mmsi: change.mmsi, name: names[change.mmsi], cpa: change.cpa, tcpa: change.tcpa });
+      }
+      app.debug(message);
+      sendNotification(`navigation.closestApproach.${change.mmsi}`, change.state, message);
+    }
+  }
+
   function submitDataToServer() {
-    submitLastCalled = Date.now();
+    releaseDelayedPositions();
+    feedBackfill();
+    destinations.forEach(submitToDestination);
+  }
+
+  // Every destination reads the cache through its own cursor, so one that is
+  // slow or down neither holds up the others nor misses rows
+  function submitToDestination(destination) {
+    if (!running) {
+      return;
+    }
+    const primary = destination === destinations[0];
+    const label = primary ? '' : ` (collector ${destination.uuid})`;
+    if (connection.budgetMode() == 'exhausted') {
+      app.debug('Data budget used up, not uploading');
+      return;
+    }
+    if (!destination.connection.isDue()) {
+      app.debug(`Backing off, next upload attempt ${timeUntil(destination.connection.nextAttempt)}${label}`);
+      return;
+    }
+    if (primary) {
+      submitLastCalled = Date.now();
+    }
 
+    // With the budget running low only positions are sent, through a cursor
+    // of their own, so the full rows stay cached until the budget allows
+    const budgetMode = connection.budgetMode();
+    const cursor = budgetMode == 'positionOnly' ? positionCursor(destination) : destination.uuid;
+    const upload = destination.upload;
+    const batchSize = upload.batchSize;
+    const succeeded = () => {
+      destination.lastSuccess = Date.now();
+      if (primary) {
+        lastSuccessfulUpdate = destination.lastSuccess;
+      }
+    };
     let data;
     try {
-      data = bufferStore.peek(60);
+      data = bufferStore.peek(batchSize, cursor);
+      if (budgetMode == 'positionOnly') {
+        data = data.map(positionOnly);
+      }
     } catch (err) {
       app.debug('Error querying the local cache:', err);
       return;
@@ -540,21 +1562,15 @@ module.exports = function(app) {
     if (data.length == 0) {
       app.debug('Local cache is empty, sending an empty ping');
     } else {
-      app.debug(`Submitting ${data.length} out of ${queueLength} entries from the local cache`);
+      app.debug(`Submitting ${data.length} out of ${bufferStore.count(cursor)} entries from the local cache${label}`);
     }
 
-    let httpOptions = {
-      uri: API_BASE + '/' + uuid + '/push',
-      method: 'POST',
-      json: JSON.stringify(data),
-      headers: {
-        'User-Agent': userAgent,
-      },
-      timeout: 45000
-    };
-
-    request(httpOptions, function (error, response, body) {
+    destination.uplink.push(data, upload, function (error, response, body) {
+      if (!running) {
+        return;
+      }
       if (!error && response.statusCode == 200) {
+        destination.connection.success();
         let responseBody = body;
         if (typeof responseBody === 'string') {
           try {
@@ -562,7 +1578,7 @@ module.exports = function(app) {
           } catch (err) {
             if (data.length === 0) {
               app.debug('Server acknowledged empty ping');
-              lastSuccessfulUpdate = Date.now();
+              succeeded();
               updatePluginStatus();
               return;
             }
@@ -574,7 +1590,7 @@ module.exports = function(app) {
         if (!responseBody || typeof responseBody !== 'object') {
           if (data.length === 0) {
             app.debug('Server acknowledged empty ping');
-            lastSuccessfulUpdate = Date.now();
+            succeeded();
             updatePluginStatus();
             return;
           }
@@ -583,41 +1599,330 @@ module.exports = function(app) {
           return;
         }
 
-        app.debug(`Successfully submitted ${data.length} data record(s)`);
-        if (responseBody.refreshMetadata) {
+        app.debug(`Successfully submitted ${data.length} data record(s)${label}`);
+        negotiateUpload(upload, responseBody);
+        if (primary && responseBody.refreshMetadata) {
           app.debug('Server requested metadata refresh');
           sendMetadata();
         }
-        if (monitoringConfiguration && (responseBody.configurationVersion > monitoringConfiguration.version)) {
+        if (primary && monitoringConfiguration && (responseBody.configurationVersion > monitoringConfiguration.version)) {
           app.debug(`New monitoring configuration available (v${responseBody.configurationVersion})`);
           getConfiguration();
         }
         if (data.length === 0 && responseBody.processedUntil === undefined) {
-          lastSuccessfulUpdate = Date.now();
+          succeeded();
           updatePluginStatus();
           return;
         }
         try {
           const lastTs = responseBody.processedUntil;
-          bufferStore.deleteUpTo(lastTs);
-          lastSuccessfulUpdate = Date.now();
+          const before = bufferStore.count(cursor);
+          bufferStore.deleteUpTo(lastTs, cursor, data.length);
+          const progressed = bufferStore.count(cursor) < before;
+          if (cursor == destination.uuid) {
+            bufferStore.catchUp(positionCursor(destination), destination.uuid);
+          }
+          succeeded();
+          if (primary) {
+            feedBackfill();
+          }
 
-          const remaining = bufferStore.count();
+          const remaining = bufferStore.count(cursor);
           if (remaining > 1) {
-            app.debug(`Cache not fully flushed, processed until ${lastTs}, ${remaining} record(s) left.`);
+            app.debug(`Cache not fully flushed, processed until ${lastTs}, ${remaining} record(s) left${label}.`);
+            if (progressed && data.length == batchSize) {
+              // Drain a backlog right away instead of one batch per minute
+              setImmediate(() => submitToDestination(destination));
+            }
           }
         } catch (err) {
           app.debug(`Error deleting from buffer: ${err}`);
         }
       } else if (!error && response.statusCode == 204) {
-        app.debug('Server responded with HTTP-204');
+        destination.connection.success();
+        app.debug(`Server responded with HTTP-204${label}`);
       } else {
-        app.debug(`${response?.statusCode ? `HTTP-${response.statusCode}` : error || 'Unknown error'}, retry in ${SUBMIT_INTERVAL} min`);
+        const reason = response?.statusCode ? `HTTP-${response.statusCode}` : String(error || 'Unknown error');
+        const retryAfter = response?.headers ? parseRetryAfter(response.headers['retry-after']) : null;
+        const delay = destination.connection.failure(reason, retryAfter);
+        app.debug(`${reason}, retry in ${Math.round(delay / 1000)} seconds${label}`);
       }
       updatePluginStatus();
     });
   }
 
+  // The server announces alongside processedUntil how many rows it wants per
+  // request, and whether it accepts column batches and compressed bodies
+  function negotiateUpload(upload, responseBody) {
+    const batchSize = Number(responseBody.batchSize);
+    if (Number.isInteger(batchSize) && batchSize > 0) {
+      upload.batchSize = Math.min(batchSize, MAX_BATCH_SIZE);
+    }
+    if (responseBody.batchFormat !== undefined) {
+      upload.format = FORMATS.includes(responseBody.batchFormat) ? responseBody.batchFormat : null;
+    }
+    if (responseBody.contentEncoding !== undefined) {
+      upload.encoding = ENCODINGS.includes(responseBody.contentEncoding) ? responseBody.contentEncoding : null;
+    }
+  }
+
+  // What is still sent while a data budget is running low
+  function positionCursor(destination) {
+    return `${destination.uuid}:positions`;
+  }
+
+  function positionOnly(row) {
+    return {
+      ts: row.ts,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      speedOverGround: row.speedOverGround,
+      courseOverGroundTrue: row.courseOverGroundTrue,
+      events: row.events
+    };
+  }
+
+  // The primary collector uses the connection (and its data budget) directly;
+  // additional collectors back off on their own but count against the same budget
+  function setupDestinations(options) {
+    destinations = [{
+      uuid: uuid,
+      uplink: uplink,
+      connection: connection,
+      upload: { batchSize: DEFAULT_BATCH_SIZE, format: null, encoding: null },
+      lastSuccess: null
+    }];
+    for (const collector of options.collectors || []) {
+      if (!collector || !collector.uuid || destinations.some(d => d.uuid == collector.uuid)) {
+        continue;
+      }
+      try {
+        destinations.push({
+          uuid: collector.uuid,
+          uplink: createUplink(collector.uplink, collector.uplinkUrl, collector.uuid, {
+            userAgent: userAgent,
+            topic: collector.mqttTopic,
+            signer: createSigner(collector.uuid),
+            onTraffic: recordTraffic
+          }),
+          connection: new ConnectionManager(),
+          upload: { batchSize: DEFAULT_BATCH_SIZE, format: null, encoding: null },
+          lastSuccess: null
+        });
+        app.debug(`Also sending the log to collector ${collector.uuid}`);
+      } catch (err) {
+        app.debug(`Cannot set up the uplink for collector ${collector.uuid}: ${err.message}`);
+      }
+    }
+  }
+
+  // Each collector has its own secret, handed out and rotated by its server
+  function createSigner(id) {
+    let secrets = null;
+    try {
+      secrets = secretStore.load();
+    } catch (err) {
+      app.debug(`Failed to load collector secrets: ${err}`);
+    }
+    return new RequestSigner(secrets ? secrets[id] : null, {
+      now: () => gpsClock.now(),
+      onChange: state => {
+        try {
+          const all = secretStore.load() || {};
+          all[id] = state;
+          secretStore.save(all);
+          app.debug(`Stored the secret for collector ${id}`);
+        } catch (err) {
+          app.debug(`Failed to store the secret for collector ${id}: ${err}`);
+        }
+      }
+    });
+  }
+
+  // Every uplink reports its traffic here so it counts against the data budget
+  function recordTraffic(sent, received) {
+    connection.record(sent, received);
+    saveConnection();
+  }
+
+  function loadConnection() {
+    try {
+      return connectionStore.load();
+    } catch (err) {
+      app.debug(`Failed to load data usage: ${err}`);
+      return null;
+    }
+  }
+
+  function saveConnection() {
+    if (!connectionStore) {
+      return;
+    }
+    try {
+      connectionStore.save(connection.toJSON());
+    } catch (err) {
+      app.debug(`Failed to store data usage locally ${err}`);
+    }
+  }
+
+  // Plugin routes may or may not have the body parsed already
+  function readBody(req, limit, callback) {
+    const parts = [];
+    streamBody(req, limit, text => parts.push(text), err => callback(err, err ? null : parts.join('')));
+  }
+
+  // Hands the body to onText piece by piece as it arrives; a body that was
+  // parsed already is handed over a piece per tick, and one parsed into nothing
+  // is an error. Errors thrown by onText end up in callback, and a body over
+  // limit in an error with tooLarge set.
+  function streamBody(req, limit, onText, callback) {
+    let text = null;
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+      text = req.body.toString();
+    } else if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) {
+      text = JSON.stringify(req.body);
+    }
+    if (text != null) {
+      let offset = 0;
+      const next = () => {
+        if (offset >= text.length) {
+          callback(null);
+          return;
+        }
+        try {
+          onText(text.slice(offset, offset + BODY_CHUNK));
+        } catch (err) {
+          callback(err);
+          return;
+        }
+        offset += BODY_CHUNK;
+        setImmediate(next);
+      };
+      next();
+      return;
+    }
+    // A body parser that already read the stream left nothing worth having
+    // ({} or []), and no more data or end events will come
+    if (req.readableEnded || req._body) {
+      callback(new Error('The request body is empty'));
+      return;
+    }
+    const decoder = new StringDecoder('utf8');
+    let size = 0;
+    let failed = null;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit || failed) {
+        return;
+      }
+      try {
+        onText(decoder.write(chunk));
+      } catch (err) {
+        failed = err;
+      }
+    });
+    req.on('end', () => {
+      if (size > limit) {
+        const err = new Error(`Request bodies are limited to ${formatBytes(limit)}`);
+        err.tooLarge = true;
+        callback(err);
+        return;
+      }
+      try {
+        if (!failed) {
+          onText(decoder.end());
+        }
+      } catch (err) {
+        failed = err;
+      }
+      callback(failed);
+    });
+  }
+
+  // Imported rows wait in a store of their own and go through the cache like
+  // live ones as it empties (see feedBackfill). Minutes already in the track
+  // archive or covered by an earlier import are skipped.
+  function importLog(rows) {
+    if (!rows.length) {
+      return { imported: 0, skipped: 0 };
+    }
+    const from = rows[0].ts;
+    const to = rows[rows.length - 1].ts;
+    const imports = importStore.load() || { ranges: [] };
+    const logged = new Set(trackArchive.query(from, to).map(point => Math.floor(point.ts / 60000)));
+    const fresh = rows.filter(row =>
+      !logged.has(Math.floor(row.ts / 60000)) &&
+      !imports.ranges.some(range => row.ts >= range.from && row.ts <= range.to));
+
+    if (fresh.length) {
+      backfillStore.insertMany(fresh);
+      trackArchive.appendMany(fresh);
+      // Record the covered time, split at gaps so later imports can fill them
+      let range = null;
+      for (const row of fresh) {
+        if (!range || row.ts - range.to > 60 * 60 * 1000) {
+          range = { from: row.ts, to: row.ts };
+          imports.ranges.push(range);
+        }
+        range.to = row.ts;
+      }
+      importStore.save(imports);
+      app.debug(`Imported ${fresh.length} row(s) from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+      updatePluginStatus();
+      submitDataToServer();
+    }
+    return { imported: fresh.length, skipped: rows.length - fresh.length, from: from, to: to };
+  }
+
+  // Moves imported rows into the cache a batch at a time while it is nearly
+  // empty, filling at most half of the cache limit and leaving the rest to
+  // live data, so a large import is sent at full resolution rather than
+  // thinned out to fit
+  function feedBackfill() {
+    try {
+      if (!backfillStore.count() || bufferStore.count() >= BACKFILL_BATCH) {
+        return;
+      }
+      const rows = backfillStore.peek(BACKFILL_BATCH);
+      const fits = bufferStore.room(rows, 0.5);
+      if (!fits) {
+        return;
+      }
+      queueRows(rows.slice(0, fits));
+      backfillStore.deleteUpTo(rows[fits - 1].ts, undefined, fits);
+      app.debug(`Moved ${fits} imported row(s) into the local cache, ${backfillStore.count()} left`);
+    } catch (err) {
+      app.debug(`Failed to move imported rows into the local cache: ${err}`);
+    }
+  }
+
+  function sendTrack(req, res, format) {
+    if (!trackArchive) {
+      res.status(503).send('Saillogger is not running');
+      return;
+    }
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 24 * 60 * 60 * 1000;
+    if (isNaN(from) || isNaN(to) || from > to) {
+      res.status(400).send('Invalid from/to; use ISO 8601 dates or milliseconds since epoch');
+      return;
+    }
+    try {
+      const points = trackArchive.query(from, to);
+      const name = app.getSelfPath('name') || 'Saillogger track';
+      res.type(trackFormats[format].contentType);
+      res.set('Content-Disposition', `attachment; filename="track.${format}"`);
+      res.send(trackFormats[format].render(points, name));
+    } catch (err) {
+      app.debug(`Failed to export track: ${err}`);
+      res.status(500).send('Failed to read the track archive');
+    }
+  }
+
+  function parseTime(value) {
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  }
+
   function getKeyValue(key, maxAge) {
     let data = app.getSelfPath(key);
     if (!data) {
@@ -634,6 +1939,9 @@ module.exports = function(app) {
   }
 
   function sendAisTargets() {
+    if (!running) {
+      return;
+    }
     if (!monitoringConfiguration) {
       app.debug('Monitoring configuration not available yet, skipping AIS submissions');
       return
@@ -643,26 +1951,80 @@ module.exports = function(app) {
       return
     }
     refreshAisData();
-    let data = {
-      aisTargets: aisTarget,
+    storeAisSnapshot();
+    replayAisSnapshots();
+  }
+
+  // Snapshots are kept until the server has them, so encounters while
+  // offline are reported too
+  function storeAisSnapshot() {
+    if (privacyZones.find(position)) {
+      // Targets around us would give away where we are
+      app.debug('Inside a privacy zone, not storing AIS targets');
+      return;
     }
+    const dangerous = collisionMonitor ? Object.keys(collisionMonitor.dangerous).filter(mmsi => collisionMonitor.dangerous[mmsi]) : [];
+    const changes = aisChanges.changes(aisTarget, dangerous);
+    if (!changes) {
+      app.debug('No AIS targets changed since the last snapshot');
+      return;
+    }
+    try {
+      aisStore.insert({ ts: gpsClock.now(), ...changes });
+    } catch (err) {
+      app.debug(`Failed to store AIS snapshot: ${err}`);
+    }
+  }
 
-    let httpOptions = {
-      uri: API_BASE + '/ais/' + uuid + '/push',
-      method: 'POST',
-      json: JSON.stringify(data),
-      headers: {
-        'User-Agent': userAgent,
-      },
-      timeout: 60000
-    };
+  function replayAisSnapshots() {
+    if (!running || aisReplayInProgress) {
+      return;
+    }
+    if (!connection.isDue() || connection.budgetMode() != 'normal') {
+      app.debug('Not sending AIS data while uploads are backing off or the data budget is low');
+      return;
+    }
+    let snapshot;
+    try {
+      snapshot = aisStore.peek(1)[0];
+    } catch (err) {
+      app.debug('Error querying the AIS cache:', err);
+      return;
+    }
+    if (!snapshot) {
+      return;
+    }
+    if (publicationDelay && snapshot.ts > gpsClock.now() - publicationDelay) {
+      app.debug('Holding back AIS targets until the publication delay has passed');
+      return;
+    }
+
+    let data = {
+      ts: snapshot.ts,
+      full: snapshot.full,
+      aisTargets: snapshot.targets,
+      removed: snapshot.removed || [],
+    }
 
+    aisReplayInProgress = true;
     app.debug(`Sending AIS data for ${Object.keys(data.aisTargets).length} vessels`);
-    request(httpOptions, function (error, response, responseData) {
+    uplink.pushAis(data, function (error, response, responseData) {
+      aisReplayInProgress = false;
+      if (!running) {
+        return;
+      }
       if (!error && response.statusCode == 200) {
         app.debug(`AIS data successfully submitted`);
+        try {
+          aisStore.deleteUpTo(snapshot.ts);
+          if (aisStore.count()) {
+            setImmediate(replayAisSnapshots);
+          }
+        } catch (err) {
+          app.debug(`Error deleting from the AIS cache: ${err}`);
+        }
       } else {
-        app.debug('Submission of AIS data failed');
+        app.debug('Submission of AIS data failed, keeping the snapshot');
       }
     });
   }
@@ -738,6 +2100,27 @@ module.exports = function(app) {
     return Math.floor(seconds) + " seconds ago";
   }
 
+  function timeUntil(date) {
+    var seconds = Math.max(0, Math.round((date - new Date()) / 1000));
+    if (seconds >= 3600) {
+      return "in " + Math.round(seconds / 3600) + " hours";
+    }
+    if (seconds >= 60) {
+      return "in " + Math.round(seconds / 60) + " minutes";
+    }
+    return "in " + seconds + " seconds";
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return (bytes / 1024 / 1024).toFixed(1) + " MB";
+    }
+    if (bytes >= 1024) {
+      return (bytes / 1024).toFixed(1) + " kB";
+    }
+    return bytes + " bytes";
+  }
+
   function radiantToDegrees(rad) {
     if (rad == null) {
       return null;
@@ -766,6 +2149,13 @@ module.exports = function(app) {
     return val * 100;
   }
 
+  function cubicMetersPerSecondToLitersPerHour(rate) {
+    if (rate == null) {
+      return null;
+    }
+    return Math.round(rate * 3600000 * 10) / 10;
+  }
+
   function pascalToHectoPascal(pa) {
     if (pa == null) {
       return null;
@@ -773,46 +2163,148 @@ module.exports = function(app) {
     return Math.round(pa/100*10)/10;
   }
 
+  function updateTrueWind() {
+    trueWind = windDamper.update(computeTrueWind(windInputs));
+    if (!trueWind) {
+      return;
+    }
+    let speedTrue = metersPerSecondToKnots(trueWind.speedTrue);
+    maxWindSpeedTrue = Math.max(maxWindSpeedTrue ?? 0, speedTrue);
+    intervalStats.add('windSpeedTrue', speedTrue);
+    intervalStats.add('windAngleTrue', radiantToDegrees(trueWind.angleTrueWater), 360);
+    if (trueWind.speedOverGround != null) {
+      let speedGround = metersPerSecondToKnots(trueWind.speedOverGround);
+      maxWindSpeedGround = Math.max(maxWindSpeedGround ?? 0, speedGround);
+      intervalStats.add('windSpeedGround', speedGround);
+      intervalStats.add('windDirectionGround', radiantToDegrees(trueWind.directionGround), 360);
+    }
+
+    if (!configuration.publishTrueWind) {
+      return;
+    }
+    let values = [{
+      path: 'environment.wind.speedTrue',
+      value: trueWind.speedTrue
+    }, {
+      path: 'environment.wind.angleTrueWater',
+      value: trueWind.angleTrueWater
+    }];
+    if (trueWind.speedOverGround != null) {
+      values.push({
+        path: 'environment.wind.speedOverGround',
+        value: trueWind.speedOverGround
+      }, {
+        path: 'environment.wind.angleTrueGround',
+        value: trueWind.angleTrueGround
+      }, {
+        path: 'environment.wind.directionTrue',
+        value: trueWind.directionGround
+      });
+    }
+    app.handleMessage(plugin.id, { updates: [{ values: values }] });
+  }
+
+  function updateEngineData(group, id, metric, value) {
+    intervalStats.add(`${group}.${id}.${metric}`, value);
+    let instances = group == 'propulsion' ? engines : generators;
+    let instance = instances[id] = instances[id] || {};
+    switch (metric) {
+      case 'runTime':
+        instance.hours = Math.round(10 * value / 3600) / 10;
+        if (group == 'propulsion') {
+          passageDetector.updateEngine(id, value, gpsClock.now());
+          if (maintenanceScheduler.updateRunTime(id, value)) {
+            saveMaintenance();
+          }
+        }
+        break;
+      case 'revolutions':
+        instance.rpm = value == null ? null : Math.round(value * 60);
+        break;
+      case 'coolantTemperature':
+        instance.coolantTemperature = kelvinToCelsius(value);
+        break;
+      case 'fuel.rate':
+        instance.fuelRate = cubicMetersPerSecondToLitersPerHour(value);
+        break;
+    }
+  }
+
   function processDelta(data) {
+    if (!running) {
+      return;
+    }
     let dict = data.updates[0].values[0];
     let path = dict.path;
     let value = dict.value;
 
+    let engine = /^(propulsion|electrical\.generators)\.([^.]+)\.(.+)$/.exec(path);
+    if (engine && ENGINE_METRICS.includes(engine[3])) {
+      updateEngineData(engine[1], engine[2], engine[3], value);
+      return;
+    }
+
     switch (path) {
       case 'navigation.position':
         let source = data.updates[0]['$source'];
-        if ((gpsSource) && (source != gpsSource)) {
+        let activeSource = positionSources.active;
+        if (!positionSources.accept(source, value, Date.now(), speedOverGround)) {
           app.debug(`Skipping position from GPS resource ${source}`);
 	  break;
 	}
+        if (activeSource && activeSource != positionSources.active) {
+          app.debug(`GPS source failed over from ${activeSource} to ${positionSources.active}`);
+        }
         position = value;
-        position.changedOn = Date.now();
+        position.changedOn = gpsClock.timestampOf(data.updates[0].timestamp);
+        updatePassage(passageDetector.updatePosition(position, position.changedOn));
+        checkAnchor();
         updateDatabase();
         break;
       case 'navigation.speedOverGround':
         // Keep the previous 3 values
         speedOverGround = metersPerSecondToKnots(value);
+        windInputs.speedOverGround = value;
         maxSpeedOverGround = Math.max(maxSpeedOverGround, speedOverGround)
+        intervalStats.add('speedOverGround', speedOverGround);
         previousSpeeds.unshift(speedOverGround);
         previousSpeeds = previousSpeeds.slice(0, 3);
+        passageDetector.updateSpeed(speedOverGround);
         break;
       case 'navigation.courseOverGroundTrue':
         // Keep the previous 3 values
         courseOverGroundTrue = radiantToDegrees(value);
+        windInputs.courseOverGround = value;
+        intervalStats.add('courseOverGroundTrue', courseOverGroundTrue, 360);
         previousCOGs.unshift(courseOverGroundTrue);
         previousCOGs = previousCOGs.slice(0, 6);
         break;
       case 'environment.wind.speedApparent':
         windSpeedApparent = Math.max(windSpeedApparent, metersPerSecondToKnots(value));
+        windInputs.speedApparent = value;
+        intervalStats.add('windSpeedApparent', metersPerSecondToKnots(value));
         break;
       case 'environment.wind.angleApparent':
         angleSpeedApparent = radiantToDegrees(value);
+        intervalStats.add('angleSpeedApparent', angleSpeedApparent, 360);
+        windInputs.angleApparent = value;
+        updateTrueWind();
+        break;
+      case 'navigation.datetime':
+        updateClock(value);
+        break;
+      case 'navigation.headingTrue':
+        windInputs.heading = value;
+        break;
+      case 'navigation.speedThroughWater':
+        windInputs.speedThroughWater = value;
         break;
-      case 'propulsion.port.runTime':
-        portEngineHours = Math.round(10 * value / 3600) / 10;
+      case 'navigation.anchor.position':
+        anchorPosition = value;
+        passageDetector.updateAnchor(value);
         break;
-      case 'propulsion.starboard.runTime':
-        starboardEngineHours = Math.round(10 * value / 3600) / 10;
+      case 'navigation.anchor.maxRadius':
+        anchorRadius = value;
         break;
       default:
         app.error('Unknown path: ' + path);
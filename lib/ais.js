@@ -0,0 +1,169 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { distance, isValidPosition, toRadians, METERS_PER_NAUTICAL_MILE } = require('./geo');
+
+const EARTH_RADIUS = 6371000;         // Meters
+const CLEAR_MARGIN = 1.2;             // A target is safe again beyond 1.2 x the CPA limit
+const MIN_CLOSING_SPEED = 0.5 * 1852 / 3600;  // m/s; slower relative movement is no collision course
+const MOORED_SPEED = 0.5 * 1852 / 3600;       // m/s; no alarms while our own SOG is below this
+const STALE_AFTER = 3 * 60 * 1000;    // Targets not heard from for this long are not assessed
+const FULL_SYNC_INTERVAL = 60 * 60 * 1000;  // Send every target with full details this often
+const MIN_MOVE = 100;                 // Meters a target must move to be sent again
+const MIN_SPEED_CHANGE = 1;           // ...or knots of speed change
+const MIN_HEADING_CHANGE = 10;        // ...or degrees of heading change
+
+// Rows of the AIS snapshot store: targets is the aisTargets map by MMSI,
+// removed the MMSIs that went out of range, and full is set when targets
+// holds every vessel in range rather than only the ones that changed.
+const AIS_SNAPSHOT_FIELDS = ['ts', 'targets', 'removed', 'full'];
+
+// Thinning keeps every vessel seen within the merged snapshots at its most
+// recent report, so encounters are not lost. Full vessel details are only
+// sent when they change and are carried over from older reports.
+function mergeSnapshots(rows) {
+  const targets = {};
+  const removed = new Set();
+  for (const row of rows) {
+    for (const mmsi of row.removed || []) {
+      delete targets[mmsi];
+      removed.add(mmsi);
+    }
+    for (const mmsi in row.targets || {}) {
+      targets[mmsi] = { ...targets[mmsi], ...row.targets[mmsi] };
+      removed.delete(mmsi);
+    }
+  }
+  return {
+    ts: rows[rows.length - 1].ts,
+    targets: targets,
+    removed: removed.size ? Array.from(removed) : null,
+    full: rows.some(row => row.full)
+  };
+}
+
+function angleDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Works out which targets to submit: those that moved, turned, changed speed
+// or details since they were last submitted, plus a full sync every hour so
+// the server recovers from anything it missed.
+class AisChangeTracker {
+  constructor(fullSyncInterval = FULL_SYNC_INTERVAL) {
+    this.fullSyncInterval = fullSyncInterval;
+    this.sent = {};
+    this.lastFullSync = null;
+  }
+
+  // Returns { targets, removed, full }, or null when nothing changed.
+  // Targets listed in include are sent even when unchanged.
+  changes(targets, include = [], now = Date.now()) {
+    const full = this.lastFullSync == null || now - this.lastFullSync >= this.fullSyncInterval;
+    const result = {};
+    for (const mmsi in targets) {
+      const target = targets[mmsi];
+      const details = JSON.stringify(target.vessel || null);
+      const sent = this.sent[mmsi];
+      if (!full && sent && !include.includes(mmsi) && !this._changed(sent, target, details)) {
+        continue;
+      }
+      result[mmsi] = { ...target };
+      if (!full && sent && sent.details === details) {
+        delete result[mmsi].vessel;
+      }
+      this.sent[mmsi] = { position: target.position, speed: target.speed, heading: target.heading, details: details };
+    }
+    const removed = Object.keys(this.sent).filter(mmsi => !(mmsi in targets));
+    removed.forEach(mmsi => delete this.sent[mmsi]);
+    if (full) {
+      this.lastFullSync = now;
+    } else if (!Object.keys(result).length && !removed.length) {
+      return null;
+    }
+    return { targets: result, removed: removed.length ? removed : null, full: full };
+  }
+
+  _changed(sent, target, details) {
+    return sent.details !== details ||
+           !isValidPosition(sent.position) || !isValidPosition(target.position) ||
+           distance(sent.position, target.position) > MIN_MOVE ||
+           Math.abs(target.speed - sent.speed) >= MIN_SPEED_CHANGE ||
+           angleDifference(target.heading, sent.heading) >= MIN_HEADING_CHANGE;
+  }
+}
+
+// Closest point of approach between two vessels given as { position, speed,
+// course } in Signal K units, assuming both hold course and speed. Returns
+// { cpa } in meters, { tcpa } in seconds, negative when already past, and the
+// relative { speed } in m/s. Without relative movement tcpa is 0 and cpa the
+// current range.
+function closestApproach(own, target) {
+  if (!isValidPosition(own.position) || !isValidPosition(target.position)) {
+    return null;
+  }
+  // Flat projection around our own position, plenty accurate within AIS range
+  const x = toRadians(target.position.longitude - own.position.longitude) *
+            Math.cos(toRadians(own.position.latitude)) * EARTH_RADIUS;
+  const y = toRadians(target.position.latitude - own.position.latitude) * EARTH_RADIUS;
+  const vx = (target.speed || 0) * Math.sin(target.course || 0) - (own.speed || 0) * Math.sin(own.course || 0);
+  const vy = (target.speed || 0) * Math.cos(target.course || 0) - (own.speed || 0) * Math.cos(own.course || 0);
+  const v2 = vx * vx + vy * vy;
+  const tcpa = v2 < 1e-6 ? 0 : -(x * vx + y * vy) / v2;
+  const t = Math.max(0, tcpa);
+  return { cpa: Math.hypot(x + vx * t, y + vy * t), tcpa: tcpa, speed: Math.sqrt(v2) };
+}
+
+// Raises a notification for each target that will come closer than cpa
+// (nautical miles) within tcpa (minutes), and clears it once the target is
+// past, stale or safely clear. Targets that keep their distance, such as
+// moored boats or boats sailing in company, and any target while we are
+// moored ourselves, never count as dangerous.
+class CollisionMonitor {
+  constructor(cpa, tcpa) {
+    this.cpa = cpa * METERS_PER_NAUTICAL_MILE;
+    this.tcpa = tcpa * 60;
+    this.dangerous = {};
+    this.approaches = {};
+  }
+
+  // targets is { mmsi: { position, speed, course, ts } }; returns the targets
+  // that became dangerous or safe as [{ mmsi, state, cpa, tcpa }]
+  update(own, targets, now = Date.now()) {
+    const changes = [];
+    const underway = own.speed >= MOORED_SPEED;
+    for (const mmsi in targets) {
+      const target = targets[mmsi];
+      const approach = now - target.ts > STALE_AFTER ? null : closestApproach(own, target);
+      this.approaches[mmsi] = approach;
+      const wasDangerous = !!this.dangerous[mmsi];
+      const limit = wasDangerous ? this.cpa * CLEAR_MARGIN : this.cpa;
+      const dangerous = underway && !!approach && approach.speed >= MIN_CLOSING_SPEED &&
+                        approach.tcpa > 0 && approach.tcpa <= this.tcpa && approach.cpa <= limit;
+      if (dangerous !== wasDangerous) {
+        changes.push({ mmsi: mmsi, state: dangerous ? 'alarm' : 'normal', ...approach });
+      }
+      this.dangerous[mmsi] = dangerous;
+    }
+    for (const mmsi in this.dangerous) {
+      if (!(mmsi in targets)) {
+        if (this.dangerous[mmsi]) {
+          changes.push({ mmsi: mmsi, state: 'normal', cpa: null, tcpa: null });
+        }
+        delete this.dangerous[mmsi];
+        delete this.approaches[mmsi];
+      }
+    }
+    return changes;
+  }
+}
+
+module.exports = { AIS_SNAPSHOT_FIELDS, mergeSnapshots, AisChangeTracker, closestApproach, CollisionMonitor };
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const RATE_WINDOW = 5 * 60 * 1000;   // Rate of change is measured over the last N ms
+const HYSTERESIS = 0.02;             // A min/max alert clears 2% inside the threshold
+const STATES = ['warn', 'alert', 'alarm', 'emergency'];
+
+// Rules are { key, min, max, rate, staleAfter, state }, values in Signal K
+// units, rate per minute and staleAfter in seconds. Later rules for the same
+// key replace earlier ones, so plugin settings can override server rules.
+function mergeRules(...ruleSets) {
+  const byKey = {};
+  for (const rules of ruleSets) {
+    for (const rule of rules || []) {
+      if (rule && typeof rule.key === 'string' && rule.key) {
+        byKey[rule.key] = rule;
+      }
+    }
+  }
+  return Object.values(byKey);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+class ThresholdMonitor {
+  constructor() {
+    this.rules = [];
+    this.conditions = {};
+    this.samples = {};
+  }
+
+  // resolveKey maps monitoring configuration names such as batteryVoltageKey
+  // to the Signal K path they point to.
+  setRules(rules, resolveKey) {
+    const active = {};
+    this.rules = rules.map(rule => ({ ...rule, path: resolveKey(rule.key) }))
+                      .filter(rule => rule.path);
+    for (const rule of this.rules) {
+      active[rule.path] = true;
+    }
+    for (const path in this.conditions) {
+      if (!active[path]) {
+        delete this.conditions[path];
+        delete this.samples[path];
+      }
+    }
+  }
+
+  // getData(path) returns the Signal K leaf ({ value, timestamp }) or null.
+  // Returns the alerts that were raised or cleared by this check.
+  check(getData, now = Date.now()) {
+    const changes = [];
+    for (const rule of this.rules) {
+      const data = getData(rule.path);
+      const previous = this.conditions[rule.path] || null;
+      const condition = this._evaluate(rule, data, previous, now);
+      if (condition === previous) {
+        continue;
+      }
+      this.conditions[rule.path] = condition;
+      changes.push({
+        path: rule.path,
+        state: condition ? (STATES.includes(rule.state) ? rule.state : 'alert') : 'normal',
+        message: this._message(rule, condition, data)
+      });
+    }
+    return changes;
+  }
+
+  _evaluate(rule, data, previous, now) {
+    const ts = data && data.timestamp ? Date.parse(data.timestamp) : NaN;
+    if (rule.staleAfter && (!data || !(now - ts <= rule.staleAfter * 1000))) {
+      return 'stale';
+    }
+    if (!data || !isNumber(data.value)) {
+      return null;
+    }
+
+    const value = data.value;
+    if (isNumber(rule.min)) {
+      const clearAt = rule.min + Math.abs(rule.min) * HYSTERESIS;
+      if (value < rule.min || (previous === 'low' && value < clearAt)) {
+        return 'low';
+      }
+    }
+    if (isNumber(rule.max)) {
+      const clearAt = rule.max - Math.abs(rule.max) * HYSTERESIS;
+      if (value > rule.max || (previous === 'high' && value > clearAt)) {
+        return 'high';
+      }
+    }
+    if (isNumber(rule.rate)) {
+      const rate = this._rate(rule.path, value, isNaN(ts) ? now : ts);
+      if (rate !== null && Math.abs(rate) > rule.rate) {
+        return 'rate';
+      }
+    }
+    return null;
+  }
+
+  // Change per minute between the oldest and newest sample in the window
+  _rate(path, value, ts) {
+    const samples = this.samples[path] = (this.samples[path] || []).filter(s => ts - s.ts <= RATE_WINDOW);
+    if (!samples.length || samples[samples.length - 1].ts !== ts) {
+      samples.push({ ts: ts, value: value });
+    }
+    const oldest = samples[0];
+    const minutes = (ts - oldest.ts) / 60000;
+    return minutes >= 1 ? (value - oldest.value) / minutes : null;
+  }
+
+  _message(rule, condition, data) {
+    const value = data && isNumber(data.value) ? Math.round(data.value * 100) / 100 : null;
+    switch (condition) {
+      case 'stale':
+        return `${rule.path} has not been updated for more than ${rule.staleAfter} seconds`;
+      case 'low':
+        return `${rule.path} is ${value}, below ${rule.min}`;
+      case 'high':
+        return `${rule.path} is ${value}, above ${rule.max}`;
+      case 'rate':
+        return `${rule.path} is changing faster than ${rule.rate} per minute (now ${value})`;
+      default:
+        return `${rule.path} is back to normal`;
+    }
+  }
+}
+
+module.exports = { ThresholdMonitor, mergeRules };
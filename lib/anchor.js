@@ -0,0 +1,72 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { distance, isValidPosition } = require('./geo');
+
+const SAMPLES = 5;              // Median over the last N fixes filters out GPS jitter
+const EMERGENCY_RATIO = 1.5;    // Emergency once this far beyond the swing radius
+const HYSTERESIS = 0.9;         // Alarm clears only after coming back within 90% of the limit
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class AnchorWatch {
+  constructor() {
+    this.state = 'normal';
+    this.distances = [];
+    this.distance = null;
+  }
+
+  // Returns { state, distance, radius } whenever the alarm state changes
+  update(position, anchorPosition, radius) {
+    if (!isValidPosition(anchorPosition) || !radius || !isValidPosition(position)) {
+      this.distances = [];
+      this.distance = null;
+      return this._setState('normal', radius);
+    }
+
+    this.distances.push(distance(position, anchorPosition));
+    this.distances = this.distances.slice(-SAMPLES);
+    if (this.distances.length < SAMPLES) {
+      return null;
+    }
+    this.distance = median(this.distances);
+
+    const emergencyLimit = radius * EMERGENCY_RATIO;
+    let state = this.state;
+    if (this.distance > emergencyLimit) {
+      state = 'emergency';
+    } else if (this.distance > radius) {
+      state = state === 'emergency' && this.distance > emergencyLimit * HYSTERESIS ? 'emergency' : 'alert';
+    } else if (state !== 'normal' && this.distance > radius * HYSTERESIS) {
+      state = 'alert';
+    } else {
+      state = 'normal';
+    }
+    return this._setState(state, radius);
+  }
+
+  _setState(state, radius) {
+    if (state === this.state) {
+      return null;
+    }
+    this.state = state;
+    return {
+      state: state,
+      distance: this.distance == null ? null : Math.round(this.distance),
+      radius: radius
+    };
+  }
+}
+
+module.exports = { AnchorWatch };
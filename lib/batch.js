@@ -0,0 +1,73 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const zlib = require('zlib');
+
+const FORMATS = ['columns'];
+const ENCODINGS = ['gzip', 'deflate'];
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Turns cache rows into one array per field, which compresses far better than
+// an array of objects. Fields that are null in every row are left out, JSON
+// strings such as additionalData are sent as objects, and timestamps are
+// differences to the previous row (the first one is absolute).
+function toColumns(rows) {
+  const fields = [];
+  for (const row of rows) {
+    for (const field in row) {
+      if (!fields.includes(field)) {
+        fields.push(field);
+      }
+    }
+  }
+  const columns = {};
+  for (const field of fields) {
+    const values = rows.map(row => row[field] == null ? null : row[field]);
+    if (values.every(value => value == null)) {
+      continue;
+    }
+    if (field === 'ts') {
+      columns.ts = values.map((ts, i) => i ? ts - values[i - 1] : ts);
+    } else if (field === 'additionalData') {
+      columns.additionalData = values.map(parseJson);
+    } else {
+      columns[field] = values;
+    }
+  }
+  return { format: 'columns', count: rows.length, tsEncoding: 'delta', columns: columns };
+}
+
+// Returns { body, headers } for a request with the payload encoded as JSON,
+// compressed when the server accepts it
+function encodeBody(payload, encoding) {
+  const json = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (encoding === 'gzip') {
+    headers['Content-Encoding'] = 'gzip';
+    return { body: zlib.gzipSync(json), headers: headers };
+  }
+  if (encoding === 'deflate') {
+    headers['Content-Encoding'] = 'deflate';
+    return { body: zlib.deflateSync(json), headers: headers };
+  }
+  return { body: json, headers: headers };
+}
+
+module.exports = { toColumns, encodeBody, FORMATS, ENCODINGS };
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const MIN_PLAUSIBLE = Date.UTC(2020, 0, 1);   // Nothing is logged before this
+const MAX_AHEAD = 24 * 60 * 60 * 1000;         // ...or more than a day in the future
+const DRIFT_THRESHOLD = 30 * 1000;             // System clock is trusted within this of GPS time
+const SYSTEM_STAMPED = 5 * 1000;               // Delta timestamps this close to the system clock came from it
+
+// Keeps track of how far the system clock is off from GPS time, for boats
+// without a real-time clock or NTP. Until navigation.datetime has been seen
+// the system clock is assumed to be right.
+class GpsClock {
+  constructor() {
+    this.offset = 0;
+    this.synced = false;
+    this.driftDetectedOn = null;
+  }
+
+  // Feeds navigation.datetime; returns true when the drift changed noticeably
+  update(datetime) {
+    const gpsTime = Date.parse(datetime);
+    if (isNaN(gpsTime) || gpsTime < MIN_PLAUSIBLE) {
+      return false;
+    }
+    const offset = gpsTime - Date.now();
+    const drift = Math.abs(offset) > DRIFT_THRESHOLD ? offset : 0;
+    const changed = !this.synced || Math.abs(drift - this.offset) > DRIFT_THRESHOLD;
+    this.synced = true;
+    if (changed) {
+      this.offset = drift;
+      this.driftDetectedOn = drift ? Date.now() : null;
+    }
+    return changed;
+  }
+
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  isPlausible(ts) {
+    return typeof ts === 'number' && ts >= MIN_PLAUSIBLE && ts <= this.now() + MAX_AHEAD;
+  }
+
+  // Time to log for a delta. Sources that stamp their own (GPS) time are used
+  // as is; timestamps the server took from a drifting system clock are shifted.
+  timestampOf(deltaTimestamp) {
+    const now = this.now();
+    const ts = Date.parse(deltaTimestamp);
+    if (isNaN(ts)) {
+      return now;
+    }
+    if (this.isPlausible(ts) && Math.abs(ts - now) <= DRIFT_THRESHOLD) {
+      return ts;
+    }
+    if (Math.abs(ts - Date.now()) <= SYSTEM_STAMPED) {
+      return ts + this.offset;
+    }
+    return now;
+  }
+
+  // Corrects a timestamp logged before the drift was known, assuming the
+  // system clock has been off by the same amount since boot.
+  repair(ts) {
+    if (!this.synced || this.isPlausible(ts)) {
+      return ts;
+    }
+    const repaired = ts + this.offset;
+    return this.isPlausible(repaired) ? repaired : ts;
+  }
+}
+
+module.exports = { GpsClock };
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const MIN_BACKOFF = 60 * 1000;         // First retry after a failure
+const MAX_BACKOFF = 60 * 60 * 1000;    // Never wait longer than this between attempts
+const LOW_BUDGET = 0.2;                // Fraction of a budget left at which only positions are sent
+const REQUEST_OVERHEAD = 600;          // Bytes of HTTP headers and TLS framing counted per request
+
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function monthOf(now) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds
+function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Decides when the next upload may be attempted and tracks the bytes used
+// against optional daily and monthly budgets (bytes, 0 for none). Failures
+// back off exponentially with jitter; the server can ask for a longer pause
+// with Retry-After. The state passed in and returned by toJSON() keeps the
+// usage of the current day and month across restarts.
+class ConnectionManager {
+  constructor(budgets, saved) {
+    budgets = budgets || {};
+    saved = saved || {};
+    this.dailyBudget = budgets.daily || 0;
+    this.monthlyBudget = budgets.monthly || 0;
+    this.day = saved.day || { key: null, sent: 0, received: 0 };
+    this.month = saved.month || { key: null, sent: 0, received: 0 };
+    this.total = { sent: 0, received: 0, requests: 0 };
+    this.failures = 0;
+    this.nextAttempt = 0;
+    this.lastError = null;
+  }
+
+  isDue(now = Date.now()) {
+    return now >= this.nextAttempt && this.budgetMode(now) !== 'exhausted';
+  }
+
+  success() {
+    this.failures = 0;
+    this.nextAttempt = 0;
+    this.lastError = null;
+  }
+
+  // Returns the delay until the next attempt, in milliseconds
+  failure(error, retryAfter, now = Date.now()) {
+    this.failures++;
+    this.lastError = error;
+    const backoff = Math.min(MAX_BACKOFF, MIN_BACKOFF * Math.pow(2, this.failures - 1));
+    // Random delay between half and the whole backoff so boats behind the
+    // same marina hotspot do not retry in lockstep
+    let delay = backoff / 2 + Math.random() * backoff / 2;
+    if (retryAfter != null) {
+      delay = Math.max(delay, retryAfter);
+    }
+    this.nextAttempt = now + delay;
+    return delay;
+  }
+
+  record(sent, received, now = Date.now()) {
+    sent += REQUEST_OVERHEAD;
+    received += REQUEST_OVERHEAD;
+    this._rollOver(now);
+    for (const usage of [this.day, this.month, this.total]) {
+      usage.sent += sent;
+      usage.received += received;
+    }
+    this.total.requests++;
+  }
+
+  // 'normal', 'positionOnly' when a budget is running low, or 'exhausted'
+  budgetMode(now = Date.now()) {
+    this._rollOver(now);
+    let mode = 'normal';
+    for (const [budget, usage] of [[this.dailyBudget, this.day], [this.monthlyBudget, this.month]]) {
+      if (!budget) {
+        continue;
+      }
+      const used = usage.sent + usage.received;
+      if (used >= budget) {
+        return 'exhausted';
+      }
+      if (budget - used < budget * LOW_BUDGET) {
+        mode = 'positionOnly';
+      }
+    }
+    return mode;
+  }
+
+  _rollOver(now) {
+    if (this.day.key !== dayOf(now)) {
+      this.day = { key: dayOf(now), sent: 0, received: 0 };
+    }
+    if (this.month.key !== monthOf(now)) {
+      this.month = { key: monthOf(now), sent: 0, received: 0 };
+    }
+  }
+
+  toJSON() {
+    return { day: this.day, month: this.month };
+  }
+}
+
+module.exports = { ConnectionManager, parseRetryAfter };
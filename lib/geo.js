@@ -0,0 +1,33 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const EARTH_RADIUS = 6371000;           // Meters
+const METERS_PER_NAUTICAL_MILE = 1852;
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two {latitude, longitude} positions
+function distance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function isValidPosition(position) {
+  return !!position &&
+         typeof position.latitude === 'number' && Math.abs(position.latitude) <= 90 &&
+         typeof position.longitude === 'number' && Math.abs(position.longitude) <= 180;
+}
+
+module.exports = { distance, isValidPosition, toRadians, METERS_PER_NAUTICAL_MILE };
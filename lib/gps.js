@@ -0,0 +1,103 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { distance, isValidPosition } = require('./geo');
+
+const STALE_AFTER = 30 * 1000;     // A source without a valid fix for this long is failed over
+const DEFAULT_SPEED = 30;          // Knots assumed when SOG is unknown
+const SPEED_MARGIN = 5;            // Knots allowed on top of 1.5 x SOG
+const DISTANCE_MARGIN = 50;        // Meters of GPS noise always allowed
+const MAX_REJECTIONS = 5;          // After this many rejected fixes in a row, trust the source again
+const KNOTS = 1852 / 3600;         // m/s per knot
+
+// Chooses which $source positions are logged from. Listed sources are tried in
+// order and others are ignored; without a list any source is used, staying
+// with the current one while it keeps sending. Fixes that jump further from
+// the last logged position than the boat could have travelled are rejected,
+// whichever source they come from.
+class PositionSourceSelector {
+  constructor(sources, staleAfter = STALE_AFTER) {
+    this.sources = (sources || []).filter(s => s);
+    this.staleAfter = staleAfter;
+    this.fixes = {};
+    this.last = null;
+    this.active = null;
+    this.failovers = 0;
+    this.lastFailover = null;
+    this.rejected = 0;
+  }
+
+  // Returns true when the position from this source should be used
+  accept(source, position, ts, speedOverGround) {
+    if (!isValidPosition(position)) {
+      return false;
+    }
+    source = source || 'unknown';
+    if (this.sources.length && !this.sources.includes(source)) {
+      return false;
+    }
+    const fix = this.fixes[source] = this.fixes[source] || { ts: null, rejections: 0 };
+    if (this.last && fix.rejections < MAX_REJECTIONS && this._isJump(this.last, position, ts, speedOverGround)) {
+      fix.rejections++;
+      this.rejected++;
+      return false;
+    }
+    fix.ts = ts;
+    fix.rejections = 0;
+
+    const active = this._select(ts);
+    if (active !== this.active) {
+      if (this.active) {
+        this.failovers++;
+        this.lastFailover = { from: this.active, to: active, ts: ts };
+      }
+      this.active = active;
+    }
+    if (source !== this.active) {
+      return false;
+    }
+    this.last = { position: { latitude: position.latitude, longitude: position.longitude }, ts: ts };
+    return true;
+  }
+
+  _isJump(last, position, ts, speedOverGround) {
+    const seconds = Math.max(0, ts - last.ts) / 1000;
+    const speed = typeof speedOverGround === 'number' ? speedOverGround * 1.5 + SPEED_MARGIN : DEFAULT_SPEED;
+    return distance(last.position, position) > speed * KNOTS * seconds + DISTANCE_MARGIN;
+  }
+
+  _isFresh(source, ts) {
+    const fix = this.fixes[source];
+    return !!fix && fix.ts != null && ts - fix.ts <= this.staleAfter;
+  }
+
+  _select(ts) {
+    for (const source of this.sources) {
+      if (this._isFresh(source, ts)) {
+        return source;
+      }
+    }
+    if (this.sources.length) {
+      return null;
+    }
+    if (this.active && this._isFresh(this.active, ts)) {
+      return this.active;
+    }
+    let best = null;
+    for (const source in this.fixes) {
+      if (this._isFresh(source, ts) && (!best || this.fixes[source].ts > this.fixes[best].ts)) {
+        best = source;
+      }
+    }
+    return best;
+  }
+}
+
+module.exports = { PositionSourceSelector };
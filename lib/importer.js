@@ -0,0 +1,370 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { isValidPosition } = require('./geo');
+
+const ROW_INTERVAL = 60 * 1000;        // Imported logs become one row per minute
+const FORMATS = ['gpx', 'nmea', 'signalk'];
+const DETECT_SIZE = 4096;              // Characters looked at to detect the format
+
+function round(value) {
+  return value == null ? null : Math.round(value * 10) / 10;
+}
+
+function knots(metersPerSecond) {
+  return metersPerSecond * 1.94384;
+}
+
+function degrees(rad) {
+  return rad * 180 / Math.PI;
+}
+
+// -180..180 like the apparent wind angle logged from Signal K
+function signedAngle(deg) {
+  return deg > 180 ? deg - 360 : deg;
+}
+
+function number(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function detectFormat(text) {
+  const start = text.slice(0, DETECT_SIZE).trimStart();
+  if (start.startsWith('<')) {
+    return 'gpx';
+  }
+  if (/^(\S*;\S*;)?[{]/.test(start)) {
+    return 'signalk';
+  }
+  if (/[$!][A-Z]{2,5},/.test(start)) {
+    return 'nmea';
+  }
+  return null;
+}
+
+// Samples are { ts, latitude, longitude } positions or { ts, <field>: value }
+// with speeds in knots and angles in degrees, as logged by the plugin
+
+function parseGpx(text, samples) {
+  const trkpt = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  let match;
+  while ((match = trkpt.exec(text))) {
+    const attrs = match[1];
+    const body = match[2] || '';
+    const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(attrs);
+    const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(attrs);
+    const time = /<time>([^<]+)<\/time>/.exec(body);
+    if (!lat || !lon || !time) {
+      continue;
+    }
+    const ts = Date.parse(time[1]);
+    const position = { ts: ts, latitude: number(lat[1]), longitude: number(lon[1]) };
+    if (isNaN(ts) || !isValidPosition(position)) {
+      continue;
+    }
+    samples.push(position);
+    // GPX 1.0 <speed>, or the Garmin TrackPointExtension, in m/s
+    const speed = /<(?:\w+:)?speed>([^<]+)</.exec(body);
+    if (speed && number(speed[1]) != null) {
+      samples.push({ ts: ts, speedOverGround: knots(number(speed[1])) });
+    }
+    const course = /<(?:\w+:)?course>([^<]+)</.exec(body);
+    if (course && number(course[1]) != null) {
+      samples.push({ ts: ts, courseOverGroundTrue: number(course[1]) });
+    }
+  }
+}
+
+function nmeaChecksumValid(sentence) {
+  const star = sentence.lastIndexOf('*');
+  if (star < 0) {
+    return true;
+  }
+  let checksum = 0;
+  for (let i = 1; i < star; i++) {
+    checksum ^= sentence.charCodeAt(i);
+  }
+  return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+function nmeaCoordinate(value, hemisphere, degreeDigits) {
+  if (!value) {
+    return null;
+  }
+  const deg = number(value.slice(0, degreeDigits));
+  const min = number(value.slice(degreeDigits));
+  if (deg == null || min == null) {
+    return null;
+  }
+  const result = deg + min / 60;
+  return hemisphere == 'S' || hemisphere == 'W' ? -result : result;
+}
+
+// Uses RMC for time, position, SOG and COG, and MWV for apparent wind. MWV
+// has no time of its own and is attributed to the last RMC, kept in state.
+function parseNmeaLine(line, samples, state) {
+  const start = line.search(/[$!]/);
+  if (start < 0) {
+    return;
+  }
+  const sentence = line.slice(start).trim();
+  if (!nmeaChecksumValid(sentence)) {
+    return;
+  }
+  const fields = sentence.replace(/\*[0-9A-Fa-f]{2}$/, '').split(',');
+  const type = fields[0].slice(-3);
+  if (type == 'RMC' && fields[2] == 'A' && /^\d{6}/.test(fields[1]) && /^\d{6}$/.test(fields[9])) {
+    const time = fields[1];
+    const date = fields[9];
+    const year = Number(date.slice(4, 6));
+    const ts = Date.UTC(year < 80 ? 2000 + year : 1900 + year, Number(date.slice(2, 4)) - 1, Number(date.slice(0, 2)),
+                        Number(time.slice(0, 2)), Number(time.slice(2, 4)), Number(time.slice(4)));
+    state.ts = ts;
+    const position = {
+      ts: ts,
+      latitude: nmeaCoordinate(fields[3], fields[4], 2),
+      longitude: nmeaCoordinate(fields[5], fields[6], 3)
+    };
+    if (isValidPosition(position)) {
+      samples.push(position);
+    }
+    if (number(fields[7]) != null) {
+      samples.push({ ts: ts, speedOverGround: number(fields[7]) });
+    }
+    if (number(fields[8]) != null) {
+      samples.push({ ts: ts, courseOverGroundTrue: number(fields[8]) });
+    }
+  } else if (type == 'MWV' && state.ts != null && fields[2] == 'R' && fields[5] == 'A') {
+    const angle = number(fields[1]);
+    let speed = number(fields[3]);
+    if (speed != null) {
+      speed = fields[4] == 'K' ? speed / 1.852 : fields[4] == 'M' ? knots(speed) : speed;
+      samples.push({ ts: state.ts, windSpeedApparent: speed });
+    }
+    if (angle != null) {
+      samples.push({ ts: state.ts, angleSpeedApparent: signedAngle(angle) });
+    }
+  }
+}
+
+// One delta per line, as written by most Signal K loggers. Lines of the
+// Signal K server data log ("<ms>;<provider>;<data>") may carry deltas or
+// NMEA 0183; the latter are handed to parseNmeaLine.
+function parseSignalKLine(line, samples, state, context) {
+  const raw = /^\d+;[^;]*;(.*)$/.exec(line);
+  if (raw) {
+    line = raw[1];
+  }
+  line = line.trim();
+  if (line.startsWith('$') || line.startsWith('!')) {
+    parseNmeaLine(line, samples, state);
+    return;
+  }
+  if (!line.startsWith('{')) {
+    return;
+  }
+  let delta;
+  try {
+    delta = JSON.parse(line);
+  } catch (err) {
+    return;
+  }
+  if (delta.context && delta.context != 'vessels.self' && delta.context != context) {
+    return;
+  }
+  for (const update of delta.updates || []) {
+    const ts = Date.parse(update.timestamp);
+    if (isNaN(ts)) {
+      continue;
+    }
+    for (const { path, value } of update.values || []) {
+      const sample = signalKSample(path, value, ts);
+      if (sample) {
+        samples.push(sample);
+      }
+    }
+  }
+}
+
+function signalKSample(path, value, ts) {
+  if (path == 'navigation.position') {
+    const position = { ts: ts, latitude: value && value.latitude, longitude: value && value.longitude };
+    return isValidPosition(position) ? position : null;
+  }
+  if (typeof value !== 'number') {
+    return null;
+  }
+  switch (path) {
+    case 'navigation.speedOverGround':
+      return { ts: ts, speedOverGround: knots(value) };
+    case 'navigation.courseOverGroundTrue':
+      return { ts: ts, courseOverGroundTrue: degrees(value) };
+    case 'environment.wind.speedApparent':
+      return { ts: ts, windSpeedApparent: knots(value) };
+    case 'environment.wind.angleApparent':
+      return { ts: ts, angleSpeedApparent: degrees(value) };
+  }
+  const engine = /^propulsion\.([^.]+)\.runTime$/.exec(path);
+  if (engine) {
+    return { ts: ts, engine: engine[1], hours: value / 3600 };
+  }
+  return null;
+}
+
+// Turns samples into cache rows, one per minute with a position, with the
+// same fields and units as the rows logged live and tagged as backfill. Logs
+// are mostly in time order, so a minute is finished once a sample more than a
+// minute away from it comes in; samples for a finished minute are dropped.
+// Only the rows are kept, not the samples. The parsers hand samples to push().
+class RowBuilder {
+  constructor() {
+    this.rows = [];
+    this.open = new Map();      // minute -> { row, engines }
+    this.finished = new Set();
+  }
+
+  push(sample) {
+    const minute = Math.floor(sample.ts / ROW_INTERVAL);
+    for (const [open, bucket] of this.open) {
+      if (Math.abs(open - minute) > 1) {
+        this._finish(open, bucket);
+      }
+    }
+    if (this.finished.has(minute)) {
+      return;
+    }
+    let bucket = this.open.get(minute);
+    if (!bucket) {
+      bucket = { row: { ts: sample.ts, latitude: null, longitude: null, backfill: true }, engines: {} };
+      this.open.set(minute, bucket);
+    }
+    const row = bucket.row;
+    if (sample.latitude != null) {
+      // The last position within the minute
+      if (row.latitude == null || sample.ts >= row.ts) {
+        row.ts = sample.ts;
+        row.latitude = sample.latitude;
+        row.longitude = sample.longitude;
+      }
+    } else if (sample.engine) {
+      bucket.engines[sample.engine] = { hours: round(sample.hours) };
+    } else if (sample.speedOverGround != null || sample.windSpeedApparent != null) {
+      // Peaks within the minute, like the live log
+      for (const field of ['speedOverGround', 'windSpeedApparent']) {
+        if (sample[field] != null) {
+          row[field] = Math.max(row[field] ?? -Infinity, sample[field]);
+        }
+      }
+    } else {
+      Object.assign(row, sample, { ts: row.ts });
+    }
+  }
+
+  // Returns all rows in time order
+  end() {
+    for (const [minute, bucket] of this.open) {
+      this._finish(minute, bucket);
+    }
+    return this.rows.sort((a, b) => a.ts - b.ts);
+  }
+
+  _finish(minute, { row, engines }) {
+    this.open.delete(minute);
+    this.finished.add(minute);
+    if (row.latitude == null) {
+      return;
+    }
+    row.engines = Object.keys(engines).length ? engines : null;
+    row.portEngineHours = engines.port ? engines.port.hours : null;
+    row.starboardEngineHours = engines.starboard ? engines.starboard.hours : null;
+    for (const field of ['speedOverGround', 'courseOverGroundTrue', 'windSpeedApparent', 'angleSpeedApparent']) {
+      row[field] = round(row[field]);
+    }
+    this.rows.push(row);
+  }
+}
+
+// Parses a GPX file, NMEA 0183 log or Signal K delta log into cache rows as
+// it comes in, so large logs are neither held in memory as a whole nor parsed
+// in one go. write() takes the text in pieces of any size and end() returns
+// the rows. context is the self context of this vessel, so deltas about other
+// vessels in a Signal K log are skipped.
+class LogParser {
+  constructor(format, context) {
+    if (format && !FORMATS.includes(format)) {
+      throw new Error(`Unknown format ${format}; use one of ${FORMATS.join(', ')}`);
+    }
+    this.format = format || null;
+    this.context = context;
+    this.pending = '';
+    this.builder = new RowBuilder();
+    this.state = { ts: null };
+  }
+
+  write(text) {
+    this.pending += text;
+    if (!this.format) {
+      if (this.pending.length < DETECT_SIZE) {
+        return;
+      }
+      this._detect();
+    }
+    this._parse(false);
+  }
+
+  end() {
+    if (!this.format) {
+      this._detect();
+    }
+    this._parse(true);
+    return this.builder.end();
+  }
+
+  _detect() {
+    this.format = detectFormat(this.pending);
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unrecognised log format; use one of ${FORMATS.join(', ')}`);
+    }
+  }
+
+  // Parses what is complete so far: whole lines, or for GPX everything up to
+  // the last track point, which may still be cut off
+  _parse(final) {
+    let cut = this.pending.length;
+    if (!final) {
+      cut = this.format == 'gpx' ? this.pending.lastIndexOf('<trkpt') : this.pending.lastIndexOf('\n') + 1;
+      if (cut <= 0) {
+        return;
+      }
+    }
+    const text = this.pending.slice(0, cut);
+    this.pending = this.pending.slice(cut);
+    if (this.format == 'gpx') {
+      parseGpx(text, this.builder);
+      return;
+    }
+    for (const line of text.split(/\r?\n/)) {
+      if (this.format == 'nmea') {
+        parseNmeaLine(line, this.builder, this.state);
+      } else {
+        parseSignalKLine(line, this.builder, this.state, this.context);
+      }
+    }
+  }
+}
+
+function parseLog(text, format, context) {
+  const parser = new LogParser(format, context);
+  parser.write(text);
+  return parser.end();
+}
+
+module.exports = { parseLog, LogParser, detectFormat, FORMATS };
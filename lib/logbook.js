@@ -0,0 +1,92 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const MAX_TEXT = 1000;
+
+// Fields of each kind of entry; every entry may also carry text and author.
+// Quantities are in liters, pressure in hPa, wind speed in knots.
+const CATEGORIES = {
+  note: { required: ['text'], fields: {} },
+  sails: { required: [], fields: { mainsail: 'string', headsail: 'string', spinnaker: 'string' } },
+  fuel: { required: ['liters'], fields: { liters: 'positive', tank: 'string' } },
+  water: { required: ['liters'], fields: { liters: 'positive', tank: 'string' } },
+  weather: { required: [], fields: { wind: 'number', windDirection: 'number', seaState: 'string', sky: 'string', visibility: 'string', pressure: 'number' } },
+  watch: { required: ['crew'], fields: { crew: 'list' } }
+};
+
+function text(value, name) {
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`);
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > MAX_TEXT) {
+    throw new Error(`${name} is longer than ${MAX_TEXT} characters`);
+  }
+  return trimmed;
+}
+
+function parseField(value, type, name) {
+  switch (type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a number`);
+      }
+      return value;
+    case 'positive':
+      if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a positive number`);
+      }
+      return value;
+    case 'list':
+      // "Anna, Ben" or ["Anna", "Ben"]
+      return (Array.isArray(value) ? value : text(value, name).split(','))
+        .map(item => text(item, name))
+        .filter(item => item);
+    default:
+      return text(value, name);
+  }
+}
+
+// Turns what the crew sent, either plain text or { category, text, author,
+// ...fields }, into a logEntry event. Throws on anything that does not fit.
+function parseLogEntry(input) {
+  if (typeof input === 'string') {
+    input = { text: input };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A log entry is text or an object');
+  }
+  const category = input.category || 'note';
+  const spec = CATEGORIES[category];
+  if (!spec) {
+    throw new Error(`Unknown category ${category}; use one of ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  const entry = { type: 'logEntry', category: category };
+  for (const [field, type] of Object.entries({ text: 'string', author: 'string', ...spec.fields })) {
+    if (input[field] == null || input[field] === '') {
+      continue;
+    }
+    const value = parseField(input[field], type, field);
+    if (value !== '' && !(Array.isArray(value) && !value.length)) {
+      entry[field] = value;
+    }
+  }
+  for (const field of spec.required) {
+    if (entry[field] == null) {
+      throw new Error(`A ${category} entry needs ${field}`);
+    }
+  }
+  if (Object.keys(entry).every(field => ['type', 'category', 'author'].includes(field))) {
+    throw new Error(`The ${category} entry is empty`);
+  }
+  return entry;
+}
+
+module.exports = { parseLogEntry, CATEGORIES };
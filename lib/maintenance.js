@@ -0,0 +1,148 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 200;
+
+// "Fuel filter" -> "fuelFilter", usable as a Signal K path segment
+function camelCase(name) {
+  return String(name)
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word, i) => i ? word.charAt(0).toUpperCase() + word.slice(1).toLowerCase() : word.toLowerCase())
+    .join('');
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Service items are { engine, name, hours, days }; an item is due after the
+// given engine hours or calendar days since it was last completed, whichever
+// comes first. The state passed in and returned by toJSON() records when each
+// item was last done and the service history.
+class MaintenanceScheduler {
+  constructor(items, saved) {
+    saved = saved || {};
+    this.records = saved.records || {};
+    this.history = saved.history || [];
+    this.engineHours = {};
+    this.due = {};
+    this.items = (items || [])
+      .filter(item => item && item.engine && item.name && (item.hours || item.days))
+      .map(item => ({
+        ...item,
+        id: `${item.engine}.${camelCase(item.name)}`,
+        path: `propulsion.${item.engine}.maintenance.${camelCase(item.name)}`
+      }));
+    for (const item of this.items) {
+      // Nothing known about this item yet; start counting from now
+      this.records[item.id] = this.records[item.id] || { hours: null, date: Date.now() };
+    }
+  }
+
+  // Returns true when the engine hours baseline of an item was recorded and
+  // the state should be saved
+  updateRunTime(engine, seconds, now = Date.now()) {
+    this.engineHours[engine] = seconds / 3600;
+    let changed = false;
+    for (const item of this.items) {
+      const record = this.records[item.id];
+      if (item.engine !== engine || (record && record.hours != null)) {
+        continue;
+      }
+      this.records[item.id] = { hours: round(this.engineHours[engine]), date: record ? record.date : now };
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Returns the items that became due or were cleared since the last check
+  check(now = Date.now()) {
+    const changes = [];
+    for (const status of this.status(now)) {
+      const due = !!status.due;
+      if (due === !!this.due[status.id]) {
+        continue;
+      }
+      this.due[status.id] = due;
+      changes.push({
+        id: status.id,
+        path: status.path,
+        state: due ? 'alert' : 'normal',
+        message: due ? `${status.name} due on ${status.engine} engine (${status.reason})` :
+                       `${status.name} on ${status.engine} engine is up to date`
+      });
+    }
+    return changes;
+  }
+
+  status(now = Date.now()) {
+    return this.items.map(item => {
+      const record = this.records[item.id];
+      const hours = this.engineHours[item.engine];
+      const result = {
+        id: item.id,
+        path: item.path,
+        engine: item.engine,
+        name: item.name,
+        intervalHours: item.hours || null,
+        intervalDays: item.days || null,
+        lastService: record || null,
+        hoursRemaining: null,
+        daysRemaining: null,
+        due: false,
+        reason: null
+      };
+      if (!record) {
+        return result;
+      }
+      if (item.hours && hours != null && record.hours != null) {
+        result.hoursRemaining = round(record.hours + item.hours - hours);
+        if (result.hoursRemaining <= 0) {
+          result.due = true;
+          result.reason = `${item.hours} engine hours since last service`;
+        }
+      }
+      if (item.days) {
+        result.daysRemaining = Math.floor((record.date + item.days * DAY - now) / DAY);
+        if (now - record.date >= item.days * DAY) {
+          result.due = true;
+          result.reason = result.reason || `${item.days} days since last service`;
+        }
+      }
+      return result;
+    });
+  }
+
+  complete(id, details = {}, now = Date.now()) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) {
+      throw new Error(`Unknown maintenance item ${id}`);
+    }
+    const hours = typeof details.hours === 'number' ? details.hours : this.engineHours[item.engine];
+    const date = details.date ? Date.parse(details.date) : now;
+    if (isNaN(date)) {
+      throw new Error(`Invalid date ${details.date}`);
+    }
+    const record = { hours: hours == null ? null : round(hours), date: date };
+    this.records[id] = record;
+    this.history.push({ id: id, engine: item.engine, name: item.name, ...record, notes: details.notes || null });
+    this.history = this.history.slice(-MAX_HISTORY);
+    return record;
+  }
+
+  toJSON() {
+    return { records: this.records, history: this.history };
+  }
+}
+
+module.exports = { MaintenanceScheduler };
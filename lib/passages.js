@@ -0,0 +1,217 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { distance, isValidPosition, METERS_PER_NAUTICAL_MILE } = require('./geo');
+
+const DEPARTURE_SPEED = 1.5;              // Knots, sustained for DEPARTURE_TIME to start a passage
+const ARRIVAL_SPEED = 0.5;                // Knots, sustained for ARRIVAL_TIME to end a passage
+const DEPARTURE_TIME = 2 * 60 * 1000;
+const ARRIVAL_TIME = 10 * 60 * 1000;
+const DEPARTURE_DISTANCE = 100;           // Meters away from where the boat stopped
+const ENGINE_IDLE_TIME = 2 * 60 * 1000;   // Engine is off once its run time stops increasing
+const MAX_PASSAGES = 100;
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Tracks the vessel through moored -> underway -> anchored/moored transitions.
+// Each departure/arrival pair becomes a passage; the whole state serializes to
+// JSON so it survives restarts in the middle of a passage.
+class PassageDetector {
+  constructor(saved) {
+    saved = saved || {};
+    this.state = saved.state || 'moored';
+    this.mode = saved.mode || null;
+    this.current = saved.current || null;
+    this.passages = saved.passages || [];
+    this.stopPosition = saved.stopPosition || null;
+    this.position = null;
+    this.speed = null;
+    this.anchorPosition = null;
+    this.engines = {};
+    this.movingSince = null;
+    this.movingFrom = null;
+    this.stoppedSince = null;
+  }
+
+  updateSpeed(knots) {
+    this.speed = knots;
+  }
+
+  updateAnchor(position) {
+    this.anchorPosition = isValidPosition(position) ? position : null;
+  }
+
+  updateEngine(name, runTime, ts) {
+    const engine = this.engines[name];
+    if (!engine) {
+      this.engines[name] = { runTime: runTime, changedOn: null };
+      if (this.current && !(name in this.current.engineRunTimes)) {
+        this.current.engineRunTimes[name] = runTime;
+      }
+    } else if (runTime > engine.runTime) {
+      engine.runTime = runTime;
+      engine.changedOn = ts;
+    }
+  }
+
+  // Feeds a new position and returns the name of the event it caused, if any
+  updatePosition(position, ts) {
+    if (!isValidPosition(position)) {
+      return null;
+    }
+    const previous = this.position;
+    this.position = { latitude: position.latitude, longitude: position.longitude };
+
+    if (this.state !== 'underway') {
+      return this._whileStopped(ts);
+    }
+    return this._whileUnderway(previous, ts);
+  }
+
+  isMotoring(ts) {
+    return Object.values(this.engines).some(e => e.changedOn && ts - e.changedOn < ENGINE_IDLE_TIME);
+  }
+
+  rowInfo() {
+    return {
+      id: this.current ? this.current.id : null,
+      state: this.state,
+      mode: this.state === 'underway' ? this.mode : null
+    };
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      mode: this.mode,
+      current: this.current,
+      passages: this.passages,
+      stopPosition: this.stopPosition
+    };
+  }
+
+  _whileStopped(ts) {
+    if (this.speed != null && this.speed >= DEPARTURE_SPEED) {
+      if (!this.movingSince) {
+        this.movingSince = ts;
+        this.movingFrom = this.position;
+      }
+      const leftBerth = !this.stopPosition || distance(this.stopPosition, this.position) > DEPARTURE_DISTANCE;
+      if (ts - this.movingSince >= DEPARTURE_TIME && leftBerth) {
+        return this._depart(ts);
+      }
+    } else {
+      this.movingSince = null;
+      this.movingFrom = null;
+    }
+
+    if (this.state === 'moored' && this.anchorPosition) {
+      this.state = 'anchored';
+      return 'anchored';
+    }
+    if (this.state === 'anchored' && !this.anchorPosition) {
+      this.state = 'moored';
+      return 'moored';
+    }
+    return null;
+  }
+
+  _whileUnderway(previous, ts) {
+    const passage = this.current;
+    const stopped = this.speed == null || this.speed < ARRIVAL_SPEED;
+    const mode = this.isMotoring(ts) ? 'motoring' : 'sailing';
+
+    if (previous && !stopped) {
+      passage.distance += distance(previous, this.position) / METERS_PER_NAUTICAL_MILE;
+    }
+    if (this.speed != null) {
+      passage.maxSpeed = Math.max(passage.maxSpeed || 0, this.speed);
+    }
+    passage[mode + 'Time'] += Math.max(0, ts - passage.updated);
+    passage.updated = ts;
+
+    if (stopped) {
+      this.stoppedSince = this.stoppedSince || ts;
+      if (ts - this.stoppedSince >= ARRIVAL_TIME) {
+        return this._arrive();
+      }
+    } else {
+      this.stoppedSince = null;
+    }
+
+    if (mode !== this.mode) {
+      this.mode = mode;
+      return mode;
+    }
+    return null;
+  }
+
+  _depart(ts) {
+    const start = this.stopPosition || this.movingFrom;
+    const engineRunTimes = {};
+    for (const name in this.engines) {
+      engineRunTimes[name] = this.engines[name].runTime;
+    }
+    this.current = {
+      id: this.movingSince,
+      start: { ts: this.movingSince, latitude: start.latitude, longitude: start.longitude },
+      end: null,
+      distance: distance(start, this.position) / METERS_PER_NAUTICAL_MILE,
+      maxSpeed: this.speed,
+      averageSpeed: null,
+      sailingTime: 0,
+      motoringTime: ts - this.movingSince,
+      engineRunTimes: engineRunTimes,
+      engineHours: {},
+      updated: ts
+    };
+    this.state = 'underway';
+    this.mode = this.isMotoring(ts) ? 'motoring' : 'sailing';
+    if (this.mode === 'sailing') {
+      this.current.sailingTime = this.current.motoringTime;
+      this.current.motoringTime = 0;
+    }
+    this.movingSince = null;
+    this.movingFrom = null;
+    this.stoppedSince = null;
+    return 'departure';
+  }
+
+  _arrive() {
+    const passage = this.current;
+    const endTs = this.stoppedSince;
+    const hours = (endTs - passage.start.ts) / (60 * 60 * 1000);
+    passage.end = { ts: endTs, latitude: this.position.latitude, longitude: this.position.longitude };
+    passage.distance = round(passage.distance, 2);
+    passage.maxSpeed = passage.maxSpeed == null ? null : round(passage.maxSpeed, 1);
+    passage.averageSpeed = hours > 0 ? round(passage.distance / hours, 1) : null;
+    for (const name in passage.engineRunTimes) {
+      if (this.engines[name]) {
+        passage.engineHours[name] = round((this.engines[name].runTime - passage.engineRunTimes[name]) / 3600, 1);
+      }
+    }
+    delete passage.engineRunTimes;
+    delete passage.updated;
+
+    this.passages.push(passage);
+    this.passages = this.passages.slice(-MAX_PASSAGES);
+    this.current = null;
+    this.mode = null;
+    this.stopPosition = this.position;
+    this.stoppedSince = null;
+    this.state = this.anchorPosition ? 'anchored' : 'moored';
+    return 'arrival';
+  }
+}
+
+module.exports = { PassageDetector };
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { distance, isValidPosition } = require('./geo');
+
+// Circular zones, such as the home berth, whose exact positions are not
+// published. Zones are { name, latitude, longitude, radius (m), action }
+// where action 'snap' reports the centre of the zone and 'withhold' leaves
+// the position out. The same goes for an anchor position in the monitoring
+// data.
+class PrivacyZones {
+  constructor(zones) {
+    this.zones = (zones || []).filter(zone => zone && isValidPosition(zone) && zone.radius > 0);
+  }
+
+  find(position) {
+    if (!position || !isValidPosition(position)) {
+      return null;
+    }
+    return this.zones.find(zone => distance(zone, position) <= zone.radius) || null;
+  }
+
+  // Returns the row as it may be published
+  apply(row) {
+    const zone = this.find(row);
+    let result = zone ? { ...row, ...place(zone) } : row;
+    const anchor = anchorPositionIn(row.additionalData);
+    const anchorZone = this.find(anchor);
+    if (anchorZone) {
+      const placed = place(anchorZone);
+      result = {
+        ...result,
+        additionalData: withAnchorPosition(row.additionalData, placed.latitude == null ? null : placed)
+      };
+    }
+    return result;
+  }
+}
+
+function place(zone) {
+  if (zone.action === 'withhold') {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: zone.latitude, longitude: zone.longitude };
+}
+
+function parseAdditionalData(additionalData) {
+  if (typeof additionalData !== 'string') {
+    return additionalData;
+  }
+  try {
+    return JSON.parse(additionalData);
+  } catch (err) {
+    return null;
+  }
+}
+
+// The monitoring data logged with every row includes the anchor position,
+// which is where the boat is while at anchor
+function anchorPositionIn(additionalData) {
+  const data = parseAdditionalData(additionalData);
+  const position = data && data.anchor && data.anchor.position;
+  return position && typeof position === 'object' ? position : null;
+}
+
+// Returns additionalData, in the form it came in, with the anchor position
+// replaced
+function withAnchorPosition(additionalData, position) {
+  const data = parseAdditionalData(additionalData);
+  if (!data || !data.anchor) {
+    return additionalData;
+  }
+  const result = { ...data, anchor: { ...data.anchor, position: position } };
+  return typeof additionalData === 'string' ? JSON.stringify(result) : result;
+}
+
+module.exports = { PrivacyZones, anchorPositionIn, withAnchorPosition };
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const INTERVALS = {
+  manoeuvring: 10 * 1000,
+  cruising: 60 * 1000,
+  moored: 10 * 60 * 1000
+};
+const MOORED_SPEED = 0.5;          // Knots; below this on all recent samples the boat is not moving
+const COURSE_SPEED = 1;            // Knots; COG is too noisy to use below this
+const COURSE_CHANGE = 30;          // Degrees of COG change within the recent samples
+const SPEED_CHANGE = 2;            // Knots of SOG change within the recent samples
+const MANOEUVRE_HOLD = 60 * 1000;  // Keep the high rate this long after the last manoeuvre
+
+function angleDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Picks the logging interval from the most recent SOG (knots) and COG
+// (degrees) samples: fast while tacking, gybing or manoeuvring, slow at the dock.
+class AdaptiveSampler {
+  constructor() {
+    this.mode = 'cruising';
+    this.manoeuvredOn = null;
+  }
+
+  update(speeds, courses, now = Date.now()) {
+    speeds = speeds.filter(v => typeof v === 'number' && !isNaN(v));
+    courses = courses.filter(v => typeof v === 'number' && !isNaN(v));
+
+    if (this._isManoeuvring(speeds, courses)) {
+      this.manoeuvredOn = now;
+    }
+    if (this.manoeuvredOn && now - this.manoeuvredOn < MANOEUVRE_HOLD) {
+      this.mode = 'manoeuvring';
+    } else if (speeds.length && Math.max(...speeds) < MOORED_SPEED) {
+      this.mode = 'moored';
+    } else {
+      this.mode = 'cruising';
+    }
+    return INTERVALS[this.mode];
+  }
+
+  _isManoeuvring(speeds, courses) {
+    if (speeds.length >= 2 && Math.max(...speeds) - Math.min(...speeds) > SPEED_CHANGE) {
+      return true;
+    }
+    if (!speeds.length || Math.min(...speeds) < COURSE_SPEED) {
+      return false;
+    }
+    for (let i = 1; i < courses.length; i++) {
+      if (angleDifference(courses[0], courses[i]) > COURSE_CHANGE) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = { AdaptiveSampler, INTERVALS };
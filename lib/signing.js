@@ -0,0 +1,124 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const crypto = require('crypto');
+
+const SCHEME = 'v1';
+
+function sha256(body) {
+  return crypto.createHash('sha256').update(body == null ? '' : body).digest('hex');
+}
+
+function hmac(secret, text) {
+  return crypto.createHmac('sha256', Buffer.from(secret, 'base64')).update(text).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Signs requests to a collector with a secret shared with the server, so the
+// collector ID in the URL alone is not enough to post data for the boat.
+//
+// Requests carry X-Saillogger-Timestamp (ms), X-Saillogger-Nonce and
+// X-Saillogger-Signature: "v1=" + hex HMAC-SHA256 with the base64 secret over
+//
+//   <timestamp>\n<nonce>\n<METHOD>\n<path and query>\n<hex SHA-256 of the body>
+//
+// Responses are signed the same way over
+//
+//   <timestamp>\n<request nonce>\n<status code>\n<hex SHA-256 of the body>\n<X-Saillogger-Secret>
+//
+// The server hands out a secret, or rotates it, in the X-Saillogger-Secret
+// header of a response. Before a secret exists nothing is signed and a secret
+// is only taken over HTTPS; a rotation is only accepted from a response signed
+// with the current secret. The previous secret is still accepted on responses
+// until the server signs with the new one. onChange(state) is called to
+// persist the secrets.
+class RequestSigner {
+  constructor(saved, options = {}) {
+    saved = saved || {};
+    this.secret = saved.secret || null;
+    this.previous = saved.previous || null;
+    this.rotatedAt = saved.rotatedAt || null;
+    this.now = options.now || Date.now;
+    this.onChange = options.onChange || (() => {});
+  }
+
+  get enabled() {
+    return !!this.secret;
+  }
+
+  // Returns the headers to add to a request, or {} without a secret
+  sign(method, path, body) {
+    if (!this.secret) {
+      return {};
+    }
+    const timestamp = String(Math.round(this.now()));
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const text = [timestamp, nonce, method.toUpperCase(), path, sha256(body)].join('\n');
+    return {
+      'X-Saillogger-Timestamp': timestamp,
+      'X-Saillogger-Nonce': nonce,
+      'X-Saillogger-Signature': `${SCHEME}=${hmac(this.secret, text)}`
+    };
+  }
+
+  // Checks the signature of a response to a request signed with nonce and
+  // applies a secret handed out in it. Returns an error message, or null when
+  // the response is genuine.
+  verify(response, body, nonce, secure) {
+    const headers = response.headers || {};
+    const issued = headers['x-saillogger-secret'] || '';
+    if (!this.secret) {
+      if (issued && secure) {
+        this._update(issued);
+      }
+      return null;
+    }
+    const signature = headers['x-saillogger-signature'];
+    if (!signature) {
+      return 'Response is not signed';
+    }
+    const text = [headers['x-saillogger-timestamp'], nonce, response.statusCode, sha256(body), issued].join('\n');
+    const expected = `${SCHEME}=${hmac(this.secret, text)}`;
+    const previous = this.previous ? `${SCHEME}=${hmac(this.previous, text)}` : null;
+    if (previous && safeEqual(signature, previous)) {
+      // Still signed with the old secret, which may not hand out a new one
+      return null;
+    }
+    if (!safeEqual(signature, expected)) {
+      return 'Response signature is invalid';
+    }
+    if (issued && issued !== this.secret) {
+      this._update(issued);
+    } else if (this.previous) {
+      // The server has switched to the new secret
+      this.previous = null;
+      this.onChange(this.toJSON());
+    }
+    return null;
+  }
+
+  _update(secret) {
+    this.previous = this.secret;
+    this.secret = secret;
+    this.rotatedAt = this.now();
+    this.onChange(this.toJSON());
+  }
+
+  toJSON() {
+    return { secret: this.secret, previous: this.previous, rotatedAt: this.rotatedAt };
+  }
+}
+
+module.exports = { RequestSigner };
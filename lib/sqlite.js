@@ -0,0 +1,291 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const fs = require('fs');
+const { BUFFER_FIELDS } = require('./storage');
+
+const HEADER = 'SQLite format 3\u0000';
+const WAL_HEADER_SIZE = 32;
+const WAL_FRAME_HEADER_SIZE = 24;
+
+// Minimal read-only reader for SQLite database files, enough to read the rows
+// of ordinary tables without a native module (which does not build on every
+// platform the plugin runs on). Committed frames of a -wal file next to the
+// database are applied. See https://www.sqlite.org/fileformat.html
+class SqliteReader {
+  constructor(filePath) {
+    this.data = fs.readFileSync(filePath);
+    if (this.data.toString('latin1', 0, 16) !== HEADER) {
+      throw new Error(`${filePath} is not an SQLite database`);
+    }
+    const pageSize = this.data.readUInt16BE(16);
+    this.pageSize = pageSize === 1 ? 65536 : pageSize;
+    this.usable = this.pageSize - this.data[20];
+    const encoding = this.data.readUInt32BE(56);
+    this.encoding = encoding === 2 ? 'utf16le' : encoding === 3 ? 'utf16be' : 'utf8';
+    this.walPages = this._readWal(filePath + '-wal');
+  }
+
+  // [{ type, name, tbl_name, rootpage, sql }] from sqlite_master
+  schema() {
+    const result = [];
+    this._walk(1, (rowid, values) => {
+      result.push({ type: values[0], name: values[1], tbl_name: values[2], rootpage: values[3], sql: values[4] });
+    });
+    return result;
+  }
+
+  tables() {
+    return this.schema().filter(entry => entry.type === 'table' && !entry.name.startsWith('sqlite_'));
+  }
+
+  // Returns the rows of a table as objects keyed by column name
+  rows(tableName) {
+    const table = this.tables().find(entry => entry.name === tableName);
+    if (!table) {
+      throw new Error(`No table ${tableName}`);
+    }
+    const columns = parseColumns(table.sql);
+    const result = [];
+    this._walk(table.rootpage, (rowid, values) => {
+      const row = {};
+      columns.forEach((column, i) => {
+        // An INTEGER PRIMARY KEY column is stored as the rowid
+        row[column.name] = column.rowid ? rowid : (values[i] === undefined ? null : values[i]);
+      });
+      result.push(row);
+    });
+    return result;
+  }
+
+  columns(tableName) {
+    const table = this.tables().find(entry => entry.name === tableName);
+    return table ? parseColumns(table.sql).map(column => column.name) : [];
+  }
+
+  _page(number) {
+    if (this.walPages.has(number)) {
+      return this.walPages.get(number);
+    }
+    const start = (number - 1) * this.pageSize;
+    if (number < 1 || start + this.pageSize > this.data.length) {
+      throw new Error(`Page ${number} is out of range`);
+    }
+    return this.data.subarray(start, start + this.pageSize);
+  }
+
+  // Visits every row of a table b-tree in rowid order
+  _walk(pageNumber, visit) {
+    const page = this._page(pageNumber);
+    const header = pageNumber === 1 ? 100 : 0;
+    const type = page[header];
+    const cellCount = page.readUInt16BE(header + 3);
+    if (type === 0x05) {
+      for (let i = 0; i < cellCount; i++) {
+        const cell = page.readUInt16BE(header + 12 + i * 2);
+        this._walk(page.readUInt32BE(cell), visit);
+      }
+      this._walk(page.readUInt32BE(header + 8), visit);
+    } else if (type === 0x0D) {
+      for (let i = 0; i < cellCount; i++) {
+        let offset = page.readUInt16BE(header + 8 + i * 2);
+        const payloadSize = readVarint(page, offset);
+        offset += payloadSize.length;
+        const rowid = readVarint(page, offset);
+        offset += rowid.length;
+        visit(rowid.value, this._record(this._payload(page, offset, payloadSize.value)));
+      }
+    } else {
+      throw new Error(`Page ${pageNumber} is not a table b-tree page`);
+    }
+  }
+
+  // Collects a cell payload, following overflow pages when it does not fit
+  _payload(page, offset, size) {
+    const maxLocal = this.usable - 35;
+    if (size <= maxLocal) {
+      return page.subarray(offset, offset + size);
+    }
+    const minLocal = Math.floor((this.usable - 12) * 32 / 255) - 23;
+    let local = minLocal + (size - minLocal) % (this.usable - 4);
+    if (local > maxLocal) {
+      local = minLocal;
+    }
+    const parts = [page.subarray(offset, offset + local)];
+    let remaining = size - local;
+    let next = page.readUInt32BE(offset + local);
+    while (remaining > 0 && next) {
+      const overflow = this._page(next);
+      const chunk = Math.min(remaining, this.usable - 4);
+      parts.push(overflow.subarray(4, 4 + chunk));
+      remaining -= chunk;
+      next = overflow.readUInt32BE(0);
+    }
+    return Buffer.concat(parts);
+  }
+
+  _record(payload) {
+    const headerSize = readVarint(payload, 0);
+    const types = [];
+    let offset = headerSize.length;
+    while (offset < headerSize.value) {
+      const type = readVarint(payload, offset);
+      types.push(type.value);
+      offset += type.length;
+    }
+    const values = [];
+    for (const type of types) {
+      const [value, length] = this._value(payload, offset, type);
+      values.push(value);
+      offset += length;
+    }
+    return values;
+  }
+
+  _value(buf, offset, type) {
+    switch (type) {
+      case 0: return [null, 0];
+      case 1: return [buf.readInt8(offset), 1];
+      case 2: return [buf.readInt16BE(offset), 2];
+      case 3: return [buf.readIntBE(offset, 3), 3];
+      case 4: return [buf.readInt32BE(offset), 4];
+      case 5: return [buf.readIntBE(offset, 6), 6];
+      case 6: return [Number(buf.readBigInt64BE(offset)), 8];
+      case 7: return [buf.readDoubleBE(offset), 8];
+      case 8: return [0, 0];
+      case 9: return [1, 0];
+    }
+    if (type >= 12 && type % 2 === 0) {
+      const length = (type - 12) / 2;
+      return [Buffer.from(buf.subarray(offset, offset + length)), length];
+    }
+    const length = (type - 13) / 2;
+    const bytes = buf.subarray(offset, offset + length);
+    if (this.encoding === 'utf16be') {
+      return [Buffer.from(bytes).swap16().toString('utf16le'), length];
+    }
+    return [bytes.toString(this.encoding), length];
+  }
+
+  // Latest committed version of every page in the write-ahead log
+  _readWal(walPath) {
+    const pages = new Map();
+    if (!fs.existsSync(walPath)) {
+      return pages;
+    }
+    const wal = fs.readFileSync(walPath);
+    if (wal.length < WAL_HEADER_SIZE || (wal.readUInt32BE(0) & 0xFFFFFFFE) !== 0x377F0682) {
+      return pages;
+    }
+    const pageSize = wal.readUInt32BE(8);
+    const salt1 = wal.readUInt32BE(16);
+    const salt2 = wal.readUInt32BE(20);
+    let pending = new Map();
+    for (let offset = WAL_HEADER_SIZE; offset + WAL_FRAME_HEADER_SIZE + pageSize <= wal.length; offset += WAL_FRAME_HEADER_SIZE + pageSize) {
+      if (wal.readUInt32BE(offset + 8) !== salt1 || wal.readUInt32BE(offset + 12) !== salt2) {
+        break;
+      }
+      const start = offset + WAL_FRAME_HEADER_SIZE;
+      pending.set(wal.readUInt32BE(offset), wal.subarray(start, start + pageSize));
+      if (wal.readUInt32BE(offset + 4)) {
+        // Commit frame
+        pending.forEach((page, number) => pages.set(number, page));
+        pending = new Map();
+      }
+    }
+    return pages;
+  }
+}
+
+function readVarint(buf, offset) {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = buf[offset + i];
+    value = value * 128 + (byte & 0x7F);
+    if (!(byte & 0x80)) {
+      return { value: value, length: i + 1 };
+    }
+  }
+  return { value: value * 256 + buf[offset + 8], length: 9 };
+}
+
+// Column names from a CREATE TABLE statement, in storage order
+function parseColumns(sql) {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const definitions = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      definitions.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  definitions.push(current);
+  return definitions
+    .map(definition => definition.trim())
+    .filter(definition => definition && !/^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i.test(definition))
+    .map(definition => {
+      const name = /^(?:"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|(\S+))/.exec(definition);
+      return {
+        name: name[1] || name[2] || name[3] || name[4],
+        rowid: /^\S+\s+INTEGER\s+PRIMARY\s+KEY\b/i.test(definition)
+      };
+    });
+}
+
+function legacyTimestamp(value) {
+  const ts = typeof value === 'string' && !/^\s*[\d.]+\s*$/.test(value) ? Date.parse(value) : Number(value);
+  if (value == null || !Number.isFinite(ts)) {
+    return null;
+  }
+  // Seconds since the epoch rather than milliseconds
+  return ts < 1e11 ? Math.round(ts * 1000) : ts;
+}
+
+// Reads the rows still waiting to be sent from the SQLite cache of plugin
+// versions before the NDJSON buffer. Columns are matched to buffer fields by
+// name, so older layouts with fewer columns migrate as well. Returns
+// { rows, skipped } with rows in time order.
+function readLegacyCache(filePath) {
+  const reader = new SqliteReader(filePath);
+  const tables = reader.tables().map(table => table.name);
+  const table = tables.includes('buffer') ? 'buffer' : tables.find(name => {
+    const columns = reader.columns(name);
+    return ['ts', 'latitude', 'longitude'].every(column => columns.includes(column));
+  });
+  if (!table) {
+    return { rows: [], skipped: 0 };
+  }
+  const rows = [];
+  let skipped = 0;
+  for (const legacy of reader.rows(table)) {
+    const ts = legacyTimestamp(legacy.ts);
+    if (ts == null) {
+      skipped++;
+      continue;
+    }
+    const row = { ts: ts };
+    for (const field of BUFFER_FIELDS) {
+      if (field !== 'ts' && legacy[field] !== undefined) {
+        row[field] = Buffer.isBuffer(legacy[field]) ? legacy[field].toString() : legacy[field];
+      }
+    }
+    rows.push(row);
+  }
+  rows.sort((a, b) => a.ts - b.ts);
+  return { rows: rows, skipped: skipped };
+}
+
+module.exports = { SqliteReader, readLegacyCache };
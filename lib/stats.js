@@ -0,0 +1,97 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+function round(value) {
+  return value == null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Collects min/avg/max/last of every value seen between two cache rows.
+// Angles (fullCircle is 360 for degrees, 2 * Math.PI for radians) are
+// averaged as vectors so 350 and 10 degrees average to 0, and have no min/max.
+class IntervalStats {
+  constructor() {
+    this.fields = {};
+  }
+
+  add(field, value, fullCircle = null) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return;
+    }
+    let s = this.fields[field];
+    if (!s) {
+      s = this.fields[field] = { fullCircle: fullCircle, min: value, max: value, sum: 0, x: 0, y: 0, count: 0, last: value };
+    }
+    s.min = Math.min(s.min, value);
+    s.max = Math.max(s.max, value);
+    s.sum += value;
+    if (fullCircle) {
+      s.x += Math.cos(value * 2 * Math.PI / fullCircle);
+      s.y += Math.sin(value * 2 * Math.PI / fullCircle);
+    }
+    s.count++;
+    s.last = value;
+  }
+
+  summary() {
+    const result = {};
+    for (const field in this.fields) {
+      const s = this.fields[field];
+      if (s.fullCircle) {
+        const mean = Math.atan2(s.y, s.x) * s.fullCircle / (2 * Math.PI);
+        result[field] = {
+          min: null,
+          avg: round((mean + s.fullCircle) % s.fullCircle),
+          max: null,
+          last: s.last,
+          count: s.count,
+          fullCircle: s.fullCircle
+        };
+      } else {
+        result[field] = { min: s.min, avg: round(s.sum / s.count), max: s.max, last: s.last, count: s.count };
+      }
+    }
+    return Object.keys(result).length ? result : null;
+  }
+
+  reset() {
+    this.fields = {};
+  }
+}
+
+// Combines the summaries of consecutive rows, oldest first
+function mergeStats(summaries) {
+  const merged = {};
+  for (const summary of summaries) {
+    for (const field in summary || {}) {
+      const s = summary[field];
+      const m = merged[field];
+      if (!m) {
+        merged[field] = { ...s };
+        continue;
+      }
+      const count = m.count + s.count;
+      if (m.fullCircle) {
+        const toRadians = 2 * Math.PI / m.fullCircle;
+        const x = m.count * Math.cos(m.avg * toRadians) + s.count * Math.cos(s.avg * toRadians);
+        const y = m.count * Math.sin(m.avg * toRadians) + s.count * Math.sin(s.avg * toRadians);
+        m.avg = round((Math.atan2(y, x) / toRadians + m.fullCircle) % m.fullCircle);
+      } else {
+        m.avg = round((m.avg * m.count + s.avg * s.count) / count);
+        m.min = Math.min(m.min, s.min);
+        m.max = Math.max(m.max, s.max);
+      }
+      m.last = s.last;
+      m.count = count;
+    }
+  }
+  return Object.keys(merged).length ? merged : null;
+}
+
+module.exports = { IntervalStats, mergeStats };
@@ -9,6 +9,15 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const { mergeStats } = require('./stats');
+
+const SEGMENT_MAX_BYTES = 256 * 1024;
+const SEGMENT_PATTERN = /^(\d{6})\.ndjson$/;
+const CURSOR_FILE = 'cursor.json';
+const DEFAULT_CURSOR = 'default';
+const QUARANTINE_FILE = 'quarantine.ndjson';
+const DOWNSAMPLE_INTERVALS = [5, 15, 60].map(minutes => minutes * 60 * 1000);
 
 const BUFFER_FIELDS = [
   'ts',
@@ -20,15 +29,58 @@ const BUFFER_FIELDS = [
   'angleSpeedApparent',
   'portEngineHours',
   'starboardEngineHours',
-  'additionalData'
+  'windSpeedTrue',
+  'windAngleTrue',
+  'windSpeedGround',
+  'windDirectionGround',
+  'additionalData',
+  'passage',
+  'events',
+  'engines',
+  'generators',
+  'stats',
+  'backfill'
 ];
 
-function atomicWrite(filePath, contents) {
+function atomicWrite(filePath, contents, mode) {
   const tmp = filePath + '.tmp';
-  fs.writeFileSync(tmp, contents);
+  fs.writeFileSync(tmp, contents, { mode: mode });
   fs.renameSync(tmp, filePath);
 }
 
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(str) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of Buffer.from(str)) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+// Segment lines are "<crc32>\t<json>"; JSON.stringify never emits a raw tab.
+function encodeLine(row) {
+  const json = JSON.stringify(row);
+  return crc32(json) + '\t' + json + '\n';
+}
+
+function decodeLine(line, fields) {
+  if (line.charAt(8) !== '\t' || crc32(line.slice(9)) !== line.slice(0, 8)) {
+    throw new Error('checksum mismatch');
+  }
+  return normalizeRow(JSON.parse(line.slice(9)), fields);
+}
+
 function normalizeTimestamp(value, label) {
   const timestamp = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
   if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
@@ -37,13 +89,13 @@ function normalizeTimestamp(value, label) {
   return timestamp;
 }
 
-function normalizeRow(row) {
+function normalizeRow(row, fields = BUFFER_FIELDS) {
   if (!row || typeof row !== 'object' || Array.isArray(row)) {
     throw new TypeError('buffer row must be an object');
   }
 
   const normalized = {};
-  for (const field of BUFFER_FIELDS) {
+  for (const field of fields) {
     if (field === 'ts') {
       normalized.ts = normalizeTimestamp(row.ts, 'row.ts');
     } else {
@@ -54,26 +106,73 @@ function normalizeRow(row) {
   return normalized;
 }
 
-class BufferStore {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.rows = [];
+// Fields whose peak within the merged rows is kept, and fields where the most
+// recent known value wins. Events are never merged away and interval
+// statistics are combined. Everything else is taken from the last row.
+const MERGE_MAX_FIELDS = ['speedOverGround', 'windSpeedApparent', 'windSpeedTrue', 'windSpeedGround'];
+const MERGE_LAST_FIELDS = ['portEngineHours', 'starboardEngineHours', 'engines', 'generators'];
 
-    if (!fs.existsSync(filePath)) {
-      return;
-    }
+function mergeRows(rows) {
+  const merged = { ...rows[rows.length - 1] };
+  for (const field of MERGE_MAX_FIELDS) {
+    const values = rows.map(r => r[field]).filter(v => typeof v === 'number');
+    merged[field] = values.length ? Math.max(...values) : null;
+  }
+  for (const field of MERGE_LAST_FIELDS) {
+    const row = rows.slice().reverse().find(r => r[field] != null);
+    merged[field] = row ? row[field] : null;
+  }
+  const events = [].concat(...rows.map(r => r.events || []));
+  merged.events = events.length ? events : null;
+  merged.stats = mergeStats(rows.map(r => r.stats));
+  return merged;
+}
 
-    const raw = fs.readFileSync(filePath, 'utf8');
-    const lines = raw.split('\n');
-    for (const line of lines) {
-      if (!line) continue;
-      try {
-        this.rows.push(normalizeRow(JSON.parse(line)));
-      } catch (e) {
-        // Leave the on-disk cache untouched; unreadable rows are ignored in memory.
-      }
+function downsampleRows(rows, interval, merge) {
+  const result = [];
+  let bucket = [];
+  for (const row of rows) {
+    if (bucket.length && Math.floor(row.ts / interval) !== Math.floor(bucket[0].ts / interval)) {
+      result.push(bucket.length > 1 ? merge(bucket) : bucket[0]);
+      bucket = [];
     }
-    this.rows.sort((a, b) => a.ts - b.ts);
+    bucket.push(row);
+  }
+  if (bucket.length) {
+    result.push(bucket.length > 1 ? merge(bucket) : bucket[0]);
+  }
+  return result;
+}
+
+// Rows other than logging data (e.g. AIS snapshots) can be stored by passing
+// their own fields and merge function in the options. Each destination reading
+// the store gets its own named cursor (options.cursors, the first one is the
+// default); segments are only removed once every cursor is past them.
+class BufferStore {
+  constructor(filePath, options = {}) {
+    const { dir, name } = path.parse(filePath);
+    this.filePath = filePath;
+    this.dirPath = path.join(dir, name);
+    this.cursorPath = path.join(this.dirPath, CURSOR_FILE);
+    this.quarantinePath = path.join(this.dirPath, QUARANTINE_FILE);
+    this.segmentMaxBytes = options.segmentMaxBytes || SEGMENT_MAX_BYTES;
+    this.segments = [];
+    this.cursorNames = options.cursors && options.cursors.length ? options.cursors : [DEFAULT_CURSOR];
+    this.cursors = {};
+    this.nextSegmentId = 1;
+    this.quarantined = 0;
+    this.maxBytes = options.maxBytes || 0;
+    this.maxRows = options.maxRows || 0;
+    this.fields = options.fields || BUFFER_FIELDS;
+    this.merge = options.merge || mergeRows;
+    this.downsampled = { rows: 0, at: null };
+    this.cached = new Map();
+
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    this._loadCursors();
+    this._loadSegments();
+    this._migrateLegacyFile();
+    this._enforceBudget();
   }
 
   insert(row) {
@@ -81,54 +180,460 @@ class BufferStore {
   }
 
   insertMany(rows) {
-    const normalizedRows = rows.map(normalizeRow);
+    const normalizedRows = rows.map(row => normalizeRow(row, this.fields));
     if (normalizedRows.length === 0) {
       return;
     }
 
-    this.rows.push(...normalizedRows);
-    this.rows.sort((a, b) => a.ts - b.ts);
-    fs.appendFileSync(
-      this.filePath,
-      normalizedRows.map(r => JSON.stringify(r)).join('\n') + '\n'
-    );
+    normalizedRows.sort((a, b) => a.ts - b.ts);
+    // Large batches (imports, migrations) are spread over segments of the
+    // usual size, so reading and thinning them stays cheap
+    let i = 0;
+    while (i < normalizedRows.length) {
+      const segment = this._activeSegment();
+      const lines = [];
+      let bytes = 0;
+      do {
+        const line = encodeLine(normalizedRows[i]);
+        lines.push(line);
+        bytes += Buffer.byteLength(line);
+        i++;
+      } while (i < normalizedRows.length && segment.bytes + bytes < this.segmentMaxBytes);
+      fs.appendFileSync(segment.path, lines.join(''));
+      const cached = this.cached.get(segment);
+      if (cached && cached.bytes === segment.bytes) {
+        cached.rows.push(...normalizedRows.slice(i - lines.length, i));
+        cached.bytes += bytes;
+      }
+      segment.count += lines.length;
+      segment.bytes += bytes;
+    }
+    this._enforceBudget();
   }
 
-  count() {
-    return this.rows.length;
+  count(name) {
+    const cursor = this._cursor(name);
+    let total = 0;
+    for (const segment of this.segments) {
+      if (segment.id >= cursor.segment) {
+        total += segment.count;
+      }
+    }
+    return total - (this.segments.some(s => s.id === cursor.segment) ? cursor.offset : 0);
   }
 
-  peek(limit) {
-    return this.rows.slice(0, limit);
+  peek(limit, name) {
+    const result = [];
+    for (const segment of this.segments) {
+      if (result.length >= limit) {
+        break;
+      }
+      if (segment.id < this._cursor(name).segment) {
+        continue;
+      }
+      const rows = this._rows(segment);
+      const cursor = this._cursor(name);
+      const offset = segment.id === cursor.segment ? cursor.offset : 0;
+      result.push(...rows.slice(offset, offset + limit - result.length));
+    }
+    return result;
   }
 
-  deleteUpTo(ts) {
+  // Moves the cursor past the rows up to ts. limit caps the number of rows
+  // passed at the size of the batch that was sent, so older rows appended
+  // behind newer ones (imports, migrated caches) are not skipped unsent.
+  deleteUpTo(ts, name, limit = Infinity) {
     if (ts == null) {
       return;
     }
 
     const threshold = normalizeTimestamp(ts, 'processedUntil');
-    const before = this.rows.length;
-    this.rows = this.rows.filter(r => r.ts > threshold);
-    if (this.rows.length !== before) {
-      this._rewrite();
+    name = name || this.cursorNames[0];
+    const before = { ...this._cursor(name) };
+    let passed = 0;
+    for (let i = 0; i < this.segments.length; i++) {
+      const segment = this.segments[i];
+      if (segment.id < this.cursors[name].segment) {
+        continue;
+      }
+      const rows = this._rows(segment);
+      const cursor = this.cursors[name];
+      let offset = segment.id === cursor.segment ? cursor.offset : 0;
+      while (offset < rows.length && rows[offset].ts <= threshold && passed < limit) {
+        offset++;
+        passed++;
+      }
+      if (offset < rows.length) {
+        this.cursors[name] = { segment: segment.id, offset: offset };
+        break;
+      }
+      const next = this.segments[i + 1];
+      this.cursors[name] = { segment: next ? next.id : this.nextSegmentId, offset: 0 };
+    }
+    const cursor = this.cursors[name];
+    if (cursor.segment !== before.segment || cursor.offset !== before.offset) {
+      this._cursorsMoved();
+    }
+  }
+
+  // Moves cursor name forward to where cursor to is, unless it is ahead already
+  catchUp(name, to) {
+    const cursor = this._cursor(name);
+    const target = this._cursor(to);
+    if (cursor.segment < target.segment || (cursor.segment === target.segment && cursor.offset < target.offset)) {
+      this.cursors[name] = { ...target };
+      this._cursorsMoved();
+    }
+  }
+
+  _cursorsMoved() {
+    while (this.segments.length && this._acknowledged(this.segments[0]) === Infinity) {
+      this._forget(this.segments[0]);
+      fs.rmSync(this.segments.shift().path, { force: true });
+    }
+    this._saveCursors();
+  }
+
+  // Rewrites the timestamp of every cached row through fix(ts); returns the
+  // number of rows changed.
+  repairTimestamps(fix) {
+    let repaired = 0;
+    for (const segment of this.segments) {
+      let changed = false;
+      const rows = this._readSegment(segment).map(row => {
+        const ts = fix(row.ts);
+        if (ts === row.ts) {
+          return row;
+        }
+        changed = true;
+        repaired++;
+        return { ...row, ts: normalizeTimestamp(ts, 'repaired ts') };
+      });
+      if (changed) {
+        const contents = rows.map(encodeLine).join('');
+        this._forget(segment);
+        atomicWrite(segment.path, contents);
+        segment.bytes = Buffer.byteLength(contents);
+      }
+    }
+    return repaired;
+  }
+
+  // Returns how many of rows, from the first, can be added while the cache
+  // stays within share of its limits
+  room(rows, share = 1) {
+    let { bytes, count } = this._usage();
+    let fits = 0;
+    for (const row of rows) {
+      bytes += Buffer.byteLength(encodeLine(normalizeRow(row, this.fields)));
+      count++;
+      if ((this.maxBytes && bytes > this.maxBytes * share) || (this.maxRows && count > this.maxRows * share)) {
+        break;
+      }
+      fits++;
+    }
+    return fits;
+  }
+
+  _usage() {
+    return {
+      bytes: this.segments.reduce((sum, segment) => sum + segment.bytes, 0),
+      count: this.segments.reduce((sum, segment) => sum + segment.count, 0) -
+             (this.segments.length ? this._acknowledged(this.segments[0]) : 0)
+    };
+  }
+
+  _overBudget() {
+    const { bytes, count } = this._usage();
+    return (this.maxBytes && bytes > this.maxBytes) ||
+           (this.maxRows && count > this.maxRows);
+  }
+
+  // Thins the oldest sealed segments first, each pass with a coarser interval,
+  // until the cache fits. The active segment always keeps full resolution.
+  _enforceBudget() {
+    if (!this._overBudget()) {
+      return;
+    }
+    for (const interval of DOWNSAMPLE_INTERVALS) {
+      for (const segment of this.segments.slice(0, -1)) {
+        if (!this._overBudget()) {
+          return;
+        }
+        if ((segment.resolution || 0) < interval) {
+          this._downsampleSegment(segment, interval);
+        }
+      }
+    }
+    while (this._overBudget() && this.segments.length > 1) {
+      this.downsampled.rows += this.segments[0].count - this._acknowledged(this.segments[0]);
+      this.downsampled.at = Date.now();
+      this._dropHeadSegment();
+      this._saveCursors();
+    }
+  }
+
+  _downsampleSegment(segment, interval) {
+    const all = this._readSegment(segment);
+    const offset = this._acknowledged(segment);
+    const rows = all.slice(offset);
+    const thinned = downsampleRows(rows, interval, this.merge);
+    segment.resolution = interval;
+    if (thinned.length === rows.length && offset === 0) {
+      return;
+    }
+
+    const contents = thinned.map(encodeLine).join('');
+    this._forget(segment);
+    atomicWrite(segment.path, contents);
+    segment.count = thinned.length;
+    segment.bytes = Buffer.byteLength(contents);
+    // Cursors ahead of the slowest one start over at the thinned rows and may
+    // send a few rows again; the server de-duplicates them.
+    let moved = false;
+    for (const name in this.cursors) {
+      if (this.cursors[name].segment === segment.id && this.cursors[name].offset) {
+        this.cursors[name] = { segment: segment.id, offset: 0 };
+        moved = true;
+      }
+    }
+    if (moved) {
+      this._saveCursors();
+    }
+    if (thinned.length !== rows.length) {
+      this.downsampled.rows += rows.length - thinned.length;
+      this.downsampled.at = Date.now();
     }
   }
 
-  _rewrite() {
-    const contents = this.rows.map(r => JSON.stringify(r)).join('\n') +
-                     (this.rows.length ? '\n' : '');
-    atomicWrite(this.filePath, contents);
+  _cursor(name) {
+    const cursor = this.cursors[name || this.cursorNames[0]];
+    if (!cursor) {
+      throw new Error(`Unknown cursor ${name}`);
+    }
+    return cursor;
+  }
+
+  // Rows at the start of a segment that every cursor is past; Infinity when
+  // all cursors are past the whole segment
+  _acknowledged(segment) {
+    let acknowledged = Infinity;
+    for (const name in this.cursors) {
+      const cursor = this.cursors[name];
+      if (cursor.segment < segment.id) {
+        return 0;
+      }
+      if (cursor.segment === segment.id) {
+        acknowledged = Math.min(acknowledged, cursor.offset);
+      }
+    }
+    return acknowledged;
+  }
+
+  _saveCursors() {
+    atomicWrite(this.cursorPath, JSON.stringify(this.cursors));
+  }
+
+  _activeSegment() {
+    const last = this.segments[this.segments.length - 1];
+    // Never append behind a cursor that already moved past the last segment
+    if (last && last.bytes < this.segmentMaxBytes &&
+        Object.values(this.cursors).every(cursor => cursor.segment <= last.id)) {
+      return last;
+    }
+    const id = this.nextSegmentId++;
+    const segment = { id: id, path: this._segmentPath(id), count: 0, bytes: 0 };
+    this.segments.push(segment);
+    return segment;
+  }
+
+  _segmentPath(id) {
+    return path.join(this.dirPath, String(id).padStart(6, '0') + '.ndjson');
+  }
+
+  _dropHeadSegment() {
+    const segment = this.segments.shift();
+    this._forget(segment);
+    fs.rmSync(segment.path, { force: true });
+    const next = this.segments[0];
+    for (const name in this.cursors) {
+      if (this.cursors[name].segment <= segment.id) {
+        this.cursors[name] = { segment: next ? next.id : this.nextSegmentId, offset: 0 };
+      }
+    }
+  }
+
+  // The cursor file maps cursor names to { segment, offset }. A file holding a
+  // single cursor, from before there were several, becomes the default one.
+  _loadCursors() {
+    let saved = {};
+    if (fs.existsSync(this.cursorPath)) {
+      try {
+        saved = JSON.parse(fs.readFileSync(this.cursorPath, 'utf8')) || {};
+        if (Number.isInteger(saved.segment)) {
+          saved = { [this.cursorNames[0]]: saved };
+        }
+      } catch (e) {
+        // A damaged cursor only means some rows are sent again; the server de-duplicates them.
+      }
+    }
+    for (const name of this.cursorNames) {
+      const cursor = saved[name];
+      if (cursor && Number.isInteger(cursor.segment) && Number.isInteger(cursor.offset)) {
+        this.cursors[name] = { segment: cursor.segment, offset: cursor.offset };
+      }
+    }
+  }
+
+  _loadSegments() {
+    const ids = fs.readdirSync(this.dirPath)
+      .map(f => SEGMENT_PATTERN.exec(f))
+      .filter(m => m)
+      .map(m => Number(m[1]))
+      .sort((a, b) => a - b);
+
+    // New cursors start at the oldest row still cached
+    const known = this.cursorNames.every(name => this.cursors[name]);
+    const oldest = known ? Math.min(...Object.values(this.cursors).map(cursor => cursor.segment)) : 0;
+    for (const id of ids) {
+      const segment = { id: id, path: this._segmentPath(id), count: 0, bytes: 0 };
+      if (id < oldest) {
+        // Fully acknowledged segment left behind by an interrupted delete
+        fs.rmSync(segment.path, { force: true });
+        continue;
+      }
+      this.segments.push(segment);
+      this._readSegment(segment);
+      this.nextSegmentId = id + 1;
+    }
+
+    for (const name of this.cursorNames) {
+      const cursor = this.cursors[name] || { segment: 0, offset: 0 };
+      const next = this.segments.find(segment => segment.id >= cursor.segment);
+      if (!next) {
+        this.cursors[name] = { segment: Math.max(cursor.segment, this.nextSegmentId), offset: 0 };
+      } else if (next.id !== cursor.segment) {
+        this.cursors[name] = { segment: next.id, offset: 0 };
+      } else {
+        this.cursors[name] = cursor;
+      }
+    }
+    this.nextSegmentId = Math.max(this.nextSegmentId, ...Object.values(this.cursors).map(cursor => cursor.segment));
+  }
+
+  _migrateLegacyFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const rows = [];
+    const corrupt = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        rows.push(normalizeRow(JSON.parse(line), this.fields));
+      } catch (e) {
+        corrupt.push(line);
+      }
+    }
+    this._quarantine(path.basename(this.filePath), corrupt);
+    this.insertMany(rows);
+    fs.rmSync(this.filePath);
+  }
+
+  // peek and deleteUpTo run every upload against the segment at the cursor,
+  // so the rows of the last few segments read are kept rather than parsed and
+  // checked again. Appends extend them; any rewrite of a segment forgets them.
+  _rows(segment) {
+    const cached = this.cached.get(segment);
+    if (cached && cached.bytes === segment.bytes) {
+      return cached.rows;
+    }
+    const rows = this._readSegment(segment);
+    this.cached.delete(segment);
+    this.cached.set(segment, { bytes: segment.bytes, rows: rows });
+    while (this.cached.size > this.cursorNames.length + 1) {
+      this.cached.delete(this.cached.keys().next().value);
+    }
+    return rows;
+  }
+
+  _forget(segment) {
+    this.cached.delete(segment);
+  }
+
+  // Reads all valid rows of a segment. Lines failing their checksum are moved
+  // to the quarantine file and the segment is rewritten without them.
+  _readSegment(segment) {
+    if (!fs.existsSync(segment.path)) {
+      segment.count = 0;
+      segment.bytes = 0;
+      return [];
+    }
+
+    const raw = fs.readFileSync(segment.path, 'utf8');
+    const rows = [];
+    const valid = [];
+    const corrupt = [];
+    const corruptAt = [];
+    const lines = raw.split('\n');
+    lines.forEach((line, i) => {
+      if (!line) return;
+      try {
+        rows.push(decodeLine(line, this.fields));
+        valid.push(line);
+      } catch (e) {
+        corrupt.push(line);
+        corruptAt.push(i);
+      }
+    });
+
+    let bytes = Buffer.byteLength(raw);
+    if (corrupt.length || (raw && !raw.endsWith('\n'))) {
+      const contents = valid.map(l => l + '\n').join('');
+      this._quarantine(path.basename(segment.path), corrupt);
+      atomicWrite(segment.path, contents);
+      bytes = Buffer.byteLength(contents);
+      let moved = false;
+      for (const name in this.cursors) {
+        const cursor = this.cursors[name];
+        const skipped = cursor.segment === segment.id ? corruptAt.filter(i => i < cursor.offset).length : 0;
+        if (skipped) {
+          this.cursors[name] = { segment: segment.id, offset: cursor.offset - skipped };
+          moved = true;
+        }
+      }
+      if (moved) {
+        this._saveCursors();
+      }
+    }
+    segment.count = rows.length;
+    segment.bytes = bytes;
+    return rows;
+  }
+
+  _quarantine(source, lines) {
+    if (lines.length === 0) {
+      return;
+    }
+    const quarantinedAt = Date.now();
+    fs.appendFileSync(
+      this.quarantinePath,
+      lines.map(line => JSON.stringify({ source: source, quarantinedAt: quarantinedAt, line: line })).join('\n') + '\n'
+    );
+    this.quarantined += lines.length;
   }
 }
 
+// options.mode sets the file permissions, e.g. 0o600 for secrets
 class ConfigStore {
-  constructor(filePath) {
+  constructor(filePath, options = {}) {
     this.filePath = filePath;
+    this.mode = options.mode;
   }
 
   save(obj) {
-    atomicWrite(this.filePath, JSON.stringify(obj));
+    atomicWrite(this.filePath, JSON.stringify(obj), this.mode);
   }
 
   load() {
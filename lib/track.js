@@ -0,0 +1,283 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRACK_FIELDS = [
+  'ts',
+  'latitude',
+  'longitude',
+  'speedOverGround',
+  'courseOverGroundTrue',
+  'windSpeedApparent',
+  'angleSpeedApparent',
+  'portEngineHours',
+  'starboardEngineHours'
+];
+// Per engine and generator instance: { <id>: { hours, rpm, coolantTemperature, fuelRate } }
+const INSTANCE_FIELDS = ['engines', 'generators'];
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const SEGMENT_GAP = 60 * 60 * 1000;   // Start a new track segment after an hour without data
+
+function dayOf(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+// The archive keeps one file per UTC day so exports only read the days they
+// need and retention is a matter of deleting whole files.
+class TrackArchive {
+  constructor(dirPath, options = {}) {
+    this.dirPath = dirPath;
+    this.retentionDays = options.retentionDays || 0;
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+
+  append(row) {
+    this.appendMany([row]);
+  }
+
+  // One write per day file, for imports of many rows
+  appendMany(rows) {
+    const days = new Map();
+    for (const row of rows) {
+      if (row.latitude == null || row.longitude == null) {
+        continue;
+      }
+      const point = {};
+      for (const field of TRACK_FIELDS.concat(INSTANCE_FIELDS)) {
+        point[field] = row[field] === undefined ? null : row[field];
+      }
+      const day = dayOf(point.ts);
+      days.set(day, (days.get(day) || '') + JSON.stringify(point) + '\n');
+    }
+    for (const [day, lines] of days) {
+      fs.appendFileSync(this._dayPath(day), lines);
+    }
+  }
+
+  query(from, to) {
+    const firstDay = dayOf(from);
+    const lastDay = dayOf(to);
+    const points = [];
+    for (const day of this._days()) {
+      if (day < firstDay || day > lastDay) {
+        continue;
+      }
+      for (const line of fs.readFileSync(this._dayPath(day), 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+          const point = JSON.parse(line);
+          if (point.ts >= from && point.ts <= to) {
+            points.push(point);
+          }
+        } catch (e) {
+          // A torn line from an unclean shutdown; the rest of the day is still usable.
+        }
+      }
+    }
+    return points.sort((a, b) => a.ts - b.ts);
+  }
+
+  // Moves points logged while the system clock was off, fix mapping each ts
+  // to the corrected one, into the files of their corrected days
+  repairTimestamps(fix) {
+    const moved = [];
+    for (const day of this._days()) {
+      const kept = [];
+      let changed = false;
+      for (const line of fs.readFileSync(this._dayPath(day), 'utf8').split('\n')) {
+        if (!line) continue;
+        let point;
+        try {
+          point = JSON.parse(line);
+        } catch (e) {
+          kept.push(line);
+          continue;
+        }
+        const ts = fix(point.ts);
+        if (ts === point.ts) {
+          kept.push(line);
+          continue;
+        }
+        changed = true;
+        moved.push({ ...point, ts: ts });
+      }
+      if (!changed) {
+        continue;
+      }
+      if (kept.length) {
+        fs.writeFileSync(this._dayPath(day), kept.join('\n') + '\n');
+      } else {
+        fs.rmSync(this._dayPath(day), { force: true });
+      }
+    }
+    this.appendMany(moved);
+    return moved.length;
+  }
+
+  prune(now = Date.now()) {
+    if (!this.retentionDays) {
+      return;
+    }
+    const oldestDay = dayOf(now - this.retentionDays * 24 * 60 * 60 * 1000);
+    for (const day of this._days()) {
+      if (day < oldestDay) {
+        fs.rmSync(this._dayPath(day), { force: true });
+      }
+    }
+  }
+
+  _days() {
+    return fs.readdirSync(this.dirPath)
+      .map(f => DAY_FILE_PATTERN.exec(f))
+      .filter(m => m)
+      .map(m => m[1])
+      .sort();
+  }
+
+  _dayPath(day) {
+    return path.join(this.dirPath, day + '.ndjson');
+  }
+}
+
+function splitSegments(points) {
+  const segments = [];
+  let current = [];
+  for (const point of points) {
+    if (current.length && point.ts - current[current.length - 1].ts > SEGMENT_GAP) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(point);
+  }
+  if (current.length) {
+    segments.push(current);
+  }
+  return segments;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function xmlValue(name, value) {
+  return value == null ? '' : `<${name}>${value}</${name}>`;
+}
+
+// Every engine and generator value found in the points, as
+// { name: 'engines.port.rpm', value: point => ... }
+function instanceColumns(points) {
+  const names = new Set();
+  for (const p of points) {
+    for (const field of INSTANCE_FIELDS) {
+      for (const [id, values] of Object.entries(p[field] || {})) {
+        for (const metric of Object.keys(values || {})) {
+          names.add(JSON.stringify([field, id, metric]));
+        }
+      }
+    }
+  }
+  return [...names].sort().map(key => {
+    const [field, id, metric] = JSON.parse(key);
+    return { name: `${field}.${id}.${metric}`, value: p => p[field]?.[id]?.[metric] ?? null };
+  });
+}
+
+function instanceXml(tag, instances) {
+  return Object.entries(instances || {}).map(([id, values]) =>
+    `<saillogger:${tag} id="${escapeXml(id)}">` +
+    Object.entries(values || {}).map(([metric, value]) => xmlValue(`saillogger:${metric}`, value)).join('') +
+    `</saillogger:${tag}>`
+  ).join('');
+}
+
+function toGpx(points, name) {
+  const segments = splitSegments(points).map(segment => {
+    const trkpts = segment.map(p =>
+      `<trkpt lat="${p.latitude}" lon="${p.longitude}">` +
+      `<time>${new Date(p.ts).toISOString()}</time>` +
+      '<extensions>' +
+      xmlValue('saillogger:sog', p.speedOverGround) +
+      xmlValue('saillogger:cog', p.courseOverGroundTrue) +
+      xmlValue('saillogger:aws', p.windSpeedApparent) +
+      xmlValue('saillogger:awa', p.angleSpeedApparent) +
+      xmlValue('saillogger:portEngineHours', p.portEngineHours) +
+      xmlValue('saillogger:starboardEngineHours', p.starboardEngineHours) +
+      instanceXml('engine', p.engines) +
+      instanceXml('generator', p.generators) +
+      '</extensions></trkpt>'
+    );
+    return `<trkseg>\n${trkpts.join('\n')}\n</trkseg>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Saillogger" xmlns="http://www.topografix.com/GPX/1/1" ' +
+    'xmlns:saillogger="https://saillogger.com/xmlschemas/track/1">\n' +
+    `<trk><name>${escapeXml(name)}</name>\n${segments.join('\n')}\n</trk>\n</gpx>\n`;
+}
+
+function toGeoJson(points, name) {
+  const features = splitSegments(points).map(segment => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: segment.map(p => [p.longitude, p.latitude])
+    },
+    properties: {
+      name: name,
+      coordinateProperties: {
+        times: segment.map(p => new Date(p.ts).toISOString()),
+        speedOverGround: segment.map(p => p.speedOverGround),
+        courseOverGroundTrue: segment.map(p => p.courseOverGroundTrue),
+        windSpeedApparent: segment.map(p => p.windSpeedApparent),
+        angleSpeedApparent: segment.map(p => p.angleSpeedApparent),
+        portEngineHours: segment.map(p => p.portEngineHours),
+        starboardEngineHours: segment.map(p => p.starboardEngineHours),
+        engines: segment.map(p => p.engines ?? null),
+        generators: segment.map(p => p.generators ?? null)
+      }
+    }
+  }));
+  return JSON.stringify({ type: 'FeatureCollection', features: features });
+}
+
+function toKml(points, name) {
+  const columns = TRACK_FIELDS.slice(3)
+    .map(field => ({ name: field, value: p => p[field] }))
+    .concat(instanceColumns(points));
+
+  function arrayData(column, segment) {
+    return `<gx:SimpleArrayData name="${escapeXml(column.name)}">` +
+      segment.map(p => `<gx:value>${column.value(p) == null ? '' : column.value(p)}</gx:value>`).join('') +
+      '</gx:SimpleArrayData>';
+  }
+
+  const tracks = splitSegments(points).map(segment =>
+    '<gx:Track>\n' +
+    segment.map(p => `<when>${new Date(p.ts).toISOString()}</when>`).join('\n') + '\n' +
+    segment.map(p => `<gx:coord>${p.longitude} ${p.latitude} 0</gx:coord>`).join('\n') + '\n' +
+    '<ExtendedData><SchemaData schemaUrl="#saillogger">' +
+    columns.map(column => arrayData(column, segment)).join('') +
+    '</SchemaData></ExtendedData>\n' +
+    '</gx:Track>'
+  );
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+    `<Document><name>${escapeXml(name)}</name>\n` +
+    '<Schema id="saillogger">' +
+    columns.map(column => `<gx:SimpleArrayField name="${escapeXml(column.name)}" type="float"/>`).join('') +
+    '</Schema>\n' +
+    `<Placemark><name>${escapeXml(name)}</name><gx:MultiTrack>\n${tracks.join('\n')}\n</gx:MultiTrack></Placemark>\n` +
+    '</Document>\n</kml>\n';
+}
+
+module.exports = { TrackArchive, toGpx, toGeoJson, toKml };
@@ -0,0 +1,229 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const request = require('request');
+const { toColumns, encodeBody, FORMATS, ENCODINGS } = require('./batch');
+
+const SAILLOGGER_API = 'https://saillogger.com/api/v1/collector';
+const DEFAULT_TOPIC = 'saillogger';
+
+// An uplink delivers data to a collector. All uplinks offer
+//
+//   getConfiguration(callback)
+//   sendMetadata(data, callback)
+//   push(rows, upload, callback)   upload is { format, encoding } as negotiated
+//   pushAis(data, callback)
+//   close()
+//
+// and call back with (error, response, body) the way request does, response
+// carrying statusCode and headers, so callers need not know which one is in
+// use. options.onTraffic(sent, received) is called with the bytes of every
+// exchange so they count against the data budget. HTTP uplinks sign their
+// requests and check the responses with options.signer (see signing.js).
+
+class HttpUplink {
+  constructor(baseUrl, uuid, options = {}) {
+    this.name = baseUrl;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.uuid = uuid;
+    this.userAgent = options.userAgent;
+    this.signer = options.signer || null;
+    this.onTraffic = options.onTraffic || (() => {});
+  }
+
+  getConfiguration(callback) {
+    this._send({
+      uri: this.baseUrl + '/monitoring/' + this.uuid + '/configuration',
+      method: 'GET',
+      timeout: 15000
+    }, callback);
+  }
+
+  sendMetadata(data, callback) {
+    this._send({
+      uri: this.baseUrl + '/' + this.uuid + '/update',
+      method: 'POST',
+      json: JSON.stringify(data),
+      timeout: 45000
+    }, callback);
+  }
+
+  push(rows, upload, callback) {
+    const options = {
+      uri: this.baseUrl + '/' + this.uuid + '/push',
+      method: 'POST',
+      headers: {
+        'X-Saillogger-Batch-Formats': FORMATS.join(', '),
+        'X-Saillogger-Content-Encodings': ENCODINGS.join(', ')
+      },
+      gzip: true,
+      timeout: 45000
+    };
+    if (upload && upload.format == 'columns') {
+      const encoded = encodeBody(toColumns(rows), upload.encoding);
+      options.body = encoded.body;
+      Object.assign(options.headers, encoded.headers);
+    } else {
+      options.json = JSON.stringify(rows);
+    }
+    this._send(options, callback);
+  }
+
+  pushAis(data, callback) {
+    this._send({
+      uri: this.baseUrl + '/ais/' + this.uuid + '/push',
+      method: 'POST',
+      json: JSON.stringify(data),
+      timeout: 60000
+    }, callback);
+  }
+
+  close() {
+  }
+
+  _send(options, callback) {
+    options.headers = { 'User-Agent': this.userAgent, ...options.headers };
+    let parseJson = false;
+    if (options.json !== undefined && typeof options.json !== 'boolean') {
+      // Sent as the exact bytes that are signed, parsed back as request would
+      options.body = JSON.stringify(options.json);
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Accept'] = 'application/json';
+      delete options.json;
+      parseJson = true;
+    }
+    const sent = options.body ? Buffer.byteLength(options.body) : 0;
+    let nonce = null;
+    if (this.signer && this.signer.enabled) {
+      const url = new URL(options.uri);
+      const signature = this.signer.sign(options.method, url.pathname + url.search, options.body);
+      nonce = signature['X-Saillogger-Nonce'];
+      Object.assign(options.headers, signature);
+    }
+    request(options, (error, response, body) => {
+      let received = 0;
+      if (body != null) {
+        received = Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body));
+      }
+      this.onTraffic(sent, received);
+      if (!error && this.signer) {
+        const problem = this.signer.verify(response, body, nonce, options.uri.startsWith('https:'));
+        // Error responses, often from a proxy or load balancer that cannot sign
+        // them, still count as failures and keep their Retry-After
+        if (problem && response.statusCode >= 200 && response.statusCode < 300) {
+          callback(new Error(problem));
+          return;
+        }
+      }
+      if (parseJson && typeof body === 'string') {
+        try {
+          body = JSON.parse(body);
+        } catch (err) {
+          // Left as a string, like request does
+        }
+      }
+      callback(error, response, body);
+    });
+  }
+}
+
+// Publishes to <topic>/<collector ID>/{push,ais,metadata} with QoS 1, so a
+// publish only succeeds once the broker has it. The monitoring configuration
+// is read from the retained <topic>/<collector ID>/configuration message.
+// The mqtt package is only loaded when this uplink is used.
+class MqttUplink {
+  constructor(url, uuid, options = {}) {
+    const mqtt = require('mqtt');
+    this.name = url;
+    this.prefix = `${options.topic || DEFAULT_TOPIC}/${uuid}`;
+    this.onTraffic = options.onTraffic || (() => {});
+    this.configuration = null;
+    this.lastError = null;
+    this.client = mqtt.connect(url, { clientId: `saillogger-${uuid}`, reconnectPeriod: 30 * 1000 });
+    this.client.on('connect', () => {
+      this.lastError = null;
+      this.client.subscribe(this.prefix + '/configuration', { qos: 1 });
+    });
+    this.client.on('message', (topic, payload) => {
+      this.onTraffic(0, payload.length);
+      if (topic === this.prefix + '/configuration') {
+        this.configuration = payload.toString();
+      }
+    });
+    this.client.on('error', err => {
+      this.lastError = err;
+    });
+  }
+
+  getConfiguration(callback) {
+    if (this.configuration) {
+      callback(null, { statusCode: 200, headers: {} }, this.configuration);
+    } else {
+      callback(new Error(`No configuration published on ${this.prefix}/configuration`));
+    }
+  }
+
+  sendMetadata(data, callback) {
+    this._publish('metadata', data, true, callback);
+  }
+
+  // The broker acknowledging the publish stands in for processedUntil. Older
+  // rows (imports, migrated caches) can follow newer ones in a batch, so it is
+  // the newest ts in the batch rather than the last.
+  push(rows, upload, callback) {
+    const processedUntil = rows.length ? rows.reduce((newest, row) => Math.max(newest, row.ts), -Infinity) : null;
+    this._publish('push', rows, false, (error, response) => {
+      callback(error, response, error ? undefined : JSON.stringify({ processedUntil: processedUntil }));
+    });
+  }
+
+  pushAis(data, callback) {
+    this._publish('ais', data, false, callback);
+  }
+
+  close() {
+    this.client.end(true);
+  }
+
+  _publish(name, payload, retain, callback) {
+    if (!this.client.connected) {
+      callback(this.lastError || new Error('Not connected to the MQTT broker'));
+      return;
+    }
+    const message = JSON.stringify(payload);
+    this.client.publish(`${this.prefix}/${name}`, message, { qos: 1, retain: retain }, error => {
+      this.onTraffic(Buffer.byteLength(message), 0);
+      callback(error, error ? undefined : { statusCode: 200, headers: {} }, '');
+    });
+  }
+}
+
+// type is 'saillogger' (default), 'http' for a self-hosted server speaking
+// the Saillogger collector API at url, or 'mqtt' for a broker at url
+function createUplink(type, url, uuid, options = {}) {
+  switch (type || 'saillogger') {
+    case 'saillogger':
+      return new HttpUplink(SAILLOGGER_API, uuid, options);
+    case 'http':
+      if (!/^https?:\/\//.test(url || '')) {
+        throw new Error('A custom uplink needs an http(s):// base URL');
+      }
+      return new HttpUplink(url, uuid, options);
+    case 'mqtt':
+      if (!/^(mqtts?|wss?|tcp|tls):\/\//.test(url || '')) {
+        throw new Error('An MQTT uplink needs a broker URL such as mqtt://broker.local');
+      }
+      return new MqttUplink(url, uuid, options);
+    default:
+      throw new Error(`Unknown uplink ${type}`);
+  }
+}
+
+module.exports = { createUplink, HttpUplink, MqttUplink, SAILLOGGER_API };
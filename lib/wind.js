@@ -0,0 +1,98 @@
+/*
+ * Copyright 2023-2024 Saillogger LLC <info@saillogger.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const DAMPING = 15 * 1000;    // Time constant of the exponential smoothing, ms
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function normalizeAngle(rad) {
+  return Math.atan2(Math.sin(rad), Math.cos(rad));
+}
+
+// All inputs and outputs in Signal K units (m/s, radians). Wind vectors point
+// to where the wind comes from. Apparent wind minus the boat's motion through
+// the water gives true wind; minus the motion over ground gives ground wind.
+function computeTrueWind({ speedApparent, angleApparent, speedThroughWater, speedOverGround, courseOverGround, heading }) {
+  if (!isNumber(speedApparent) || !isNumber(angleApparent)) {
+    return null;
+  }
+  const boatSpeed = isNumber(speedThroughWater) ? speedThroughWater : speedOverGround;
+  if (!isNumber(boatSpeed)) {
+    return null;
+  }
+
+  const x = speedApparent * Math.cos(angleApparent) - boatSpeed;
+  const y = speedApparent * Math.sin(angleApparent);
+  const result = {
+    speedTrue: Math.hypot(x, y),
+    angleTrueWater: Math.atan2(y, x),
+    speedOverGround: null,
+    directionGround: null,
+    angleTrueGround: null
+  };
+
+  const bearing = isNumber(heading) ? heading : courseOverGround;
+  if (isNumber(bearing) && isNumber(speedOverGround) && isNumber(courseOverGround)) {
+    const north = speedApparent * Math.cos(bearing + angleApparent) - speedOverGround * Math.cos(courseOverGround);
+    const east = speedApparent * Math.sin(bearing + angleApparent) - speedOverGround * Math.sin(courseOverGround);
+    const direction = Math.atan2(east, north);
+    result.speedOverGround = Math.hypot(north, east);
+    result.directionGround = (direction + 2 * Math.PI) % (2 * Math.PI);
+    result.angleTrueGround = normalizeAngle(direction - bearing);
+  }
+  return result;
+}
+
+// Smooths the computed wind as vectors so direction averages correctly
+// across north and speed does not jump with every gust or wave.
+class WindDamper {
+  constructor(timeConstant = DAMPING) {
+    this.timeConstant = timeConstant;
+    this.state = {};
+    this.updated = null;
+  }
+
+  update(wind, now = Date.now()) {
+    if (!wind) {
+      return null;
+    }
+    const alpha = this.updated == null ? 1 : 1 - Math.exp(-Math.max(0, now - this.updated) / this.timeConstant);
+    this.updated = now;
+
+    const water = this._smooth('water', wind.speedTrue, wind.angleTrueWater, alpha);
+    const result = {
+      speedTrue: water.speed,
+      angleTrueWater: water.angle,
+      speedOverGround: null,
+      directionGround: null,
+      angleTrueGround: null
+    };
+    if (wind.directionGround != null) {
+      const ground = this._smooth('ground', wind.speedOverGround, wind.directionGround, alpha);
+      result.speedOverGround = ground.speed;
+      result.directionGround = (ground.angle + 2 * Math.PI) % (2 * Math.PI);
+      result.angleTrueGround = normalizeAngle(wind.angleTrueGround + ground.angle - wind.directionGround);
+    }
+    return result;
+  }
+
+  _smooth(name, speed, angle, alpha) {
+    const x = speed * Math.cos(angle);
+    const y = speed * Math.sin(angle);
+    const s = this.state[name] = this.state[name] || { x: x, y: y };
+    s.x += alpha * (x - s.x);
+    s.y += alpha * (y - s.y);
+    return { speed: Math.hypot(s.x, s.y), angle: Math.atan2(s.y, s.x) };
+  }
+}
+
+module.exports = { computeTrueWind, WindDamper };
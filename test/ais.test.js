@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { closestApproach, CollisionMonitor } = require('../lib/ais');
+
+const KNOT = 1852 / 3600;
+const NORTH = 0;
+const EAST = Math.PI / 2;
+const SOUTH = Math.PI;
+const NOW = Date.UTC(2024, 5, 1);
+
+// A position n nautical miles north and east of 50N 0E
+function at(north, east = 0) {
+  return { latitude: 50 + north / 60, longitude: east / 60 / Math.cos(50 * Math.PI / 180) };
+}
+
+describe('closestApproach', () => {
+  it('meets head on', () => {
+    const own = { position: at(0), speed: 6 * KNOT, course: NORTH };
+    const target = { position: at(2), speed: 6 * KNOT, course: SOUTH };
+    const approach = closestApproach(own, target);
+    assert.ok(approach.cpa < 5);
+    assert.ok(Math.abs(approach.tcpa - 600) < 2);
+    assert.ok(Math.abs(approach.speed - 12 * KNOT) < 0.01);
+  });
+
+  it('passes abeam at the crossing distance', () => {
+    const own = { position: at(0), speed: 6 * KNOT, course: NORTH };
+    const target = { position: at(1, 0.5), speed: 6 * KNOT, course: SOUTH };
+    const approach = closestApproach(own, target);
+    assert.ok(Math.abs(approach.cpa - 926) < 5);
+    assert.ok(Math.abs(approach.tcpa - 300) < 2);
+  });
+
+  it('is negative once the target is past', () => {
+    const own = { position: at(0), speed: 6 * KNOT, course: NORTH };
+    const target = { position: at(-1), speed: 0, course: NORTH };
+    assert.ok(closestApproach(own, target).tcpa < 0);
+  });
+
+  it('gives the current range without relative movement', () => {
+    const own = { position: at(0), speed: 5 * KNOT, course: EAST };
+    const target = { position: at(0.1), speed: 5 * KNOT, course: EAST };
+    const approach = closestApproach(own, target);
+    assert.equal(approach.tcpa, 0);
+    assert.ok(Math.abs(approach.cpa - 185.2) < 1);
+    assert.ok(approach.speed < 0.001);
+  });
+
+  it('needs both positions', () => {
+    assert.equal(closestApproach({ position: null }, { position: at(1) }), null);
+  });
+});
+
+describe('CollisionMonitor', () => {
+  const underway = { position: at(0), speed: 6 * KNOT, course: NORTH };
+
+  it('raises and clears an alarm for a target on a collision course', () => {
+    const monitor = new CollisionMonitor(0.5, 15);
+    const target = { position: at(2), speed: 6 * KNOT, course: SOUTH, ts: NOW };
+    const [alarm] = monitor.update(underway, { 123: target }, NOW);
+    assert.equal(alarm.state, 'alarm');
+    assert.equal(alarm.mmsi, '123');
+
+    const [clear] = monitor.update(underway, { 123: { ...target, course: EAST } }, NOW);
+    assert.equal(clear.state, 'normal');
+  });
+
+  it('leaves boats abeam, astern and in company alone', () => {
+    const monitor = new CollisionMonitor(0.5, 15);
+    const changes = monitor.update(underway, {
+      1: { position: at(0, 0.2), speed: 0, course: 0, ts: NOW },
+      2: { position: at(-0.1), speed: 0, course: 0, ts: NOW },
+      3: { position: at(0.05, 0.05), speed: 6 * KNOT, course: NORTH, ts: NOW }
+    }, NOW);
+    assert.deepEqual(changes, []);
+  });
+
+  it('raises no alarms while we are moored ourselves', () => {
+    const monitor = new CollisionMonitor(0.5, 15);
+    const moored = { position: at(0), speed: 0, course: NORTH };
+    const neighbours = {
+      1: { position: at(0.07), speed: 0, course: 0, ts: NOW },
+      2: { position: at(0, 0.12), speed: 0, course: 0, ts: NOW }
+    };
+    assert.deepEqual(monitor.update(moored, neighbours, NOW), []);
+    assert.deepEqual(monitor.update({ ...moored, speed: null }, neighbours, NOW), []);
+  });
+
+  it('ignores stale targets and clears those that are gone', () => {
+    const monitor = new CollisionMonitor(0.5, 15);
+    const target = { position: at(2), speed: 6 * KNOT, course: SOUTH, ts: NOW - 10 * 60 * 1000 };
+    assert.deepEqual(monitor.update(underway, { 123: target }, NOW), []);
+
+    monitor.update(underway, { 123: { ...target, ts: NOW } }, NOW);
+    const [clear] = monitor.update(underway, {}, NOW);
+    assert.deepEqual(clear, { mmsi: '123', state: 'normal', cpa: null, tcpa: null });
+  });
+});
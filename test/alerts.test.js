@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ThresholdMonitor, mergeRules } = require('../lib/alerts');
+
+const NOW = Date.UTC(2024, 5, 1);
+const MINUTE = 60 * 1000;
+const BATTERY = 'electrical.batteries.house.voltage';
+
+function monitor(rules) {
+  const monitor = new ThresholdMonitor();
+  monitor.setRules(rules, key => key == 'batteryVoltageKey' ? BATTERY : /Key$/.test(key) ? null : key);
+  return monitor;
+}
+
+function reading(value, ts = NOW) {
+  return () => ({ value: value, timestamp: new Date(ts).toISOString() });
+}
+
+describe('mergeRules', () => {
+  it('lets later rules replace earlier ones for the same key', () => {
+    const server = [{ key: 'batteryVoltageKey', min: 12 }, { key: 'bilge', max: 1 }];
+    const settings = [{ key: 'batteryVoltageKey', min: 11.8 }, { key: '' }, null];
+    assert.deepEqual(mergeRules(server, undefined, settings), [{ key: 'batteryVoltageKey', min: 11.8 }, { key: 'bilge', max: 1 }]);
+  });
+});
+
+describe('ThresholdMonitor', () => {
+  it('resolves keys to paths and drops rules without one', () => {
+    const alerts = monitor([{ key: 'batteryVoltageKey', min: 12 }, { key: 'depthKey', min: 2 }]);
+    assert.deepEqual(alerts.rules.map(rule => rule.path), [BATTERY]);
+  });
+
+  it('raises an alert below the minimum and clears it with hysteresis', () => {
+    const alerts = monitor([{ key: 'batteryVoltageKey', min: 12, state: 'alarm' }]);
+    assert.deepEqual(alerts.check(reading(12.4), NOW), []);
+    assert.deepEqual(alerts.check(reading(11.9), NOW), [
+      { path: BATTERY, state: 'alarm', message: `${BATTERY} is 11.9, below 12` }
+    ]);
+    assert.deepEqual(alerts.check(reading(12.1), NOW), []);
+    assert.deepEqual(alerts.check(reading(12.3), NOW), [
+      { path: BATTERY, state: 'normal', message: `${BATTERY} is back to normal` }
+    ]);
+  });
+
+  it('raises an alert above the maximum', () => {
+    const alerts = monitor([{ key: 'environment.inside.temperature', max: 330 }]);
+    const [change] = alerts.check(reading(335), NOW);
+    assert.equal(change.state, 'alert');
+    assert.match(change.message, /above 330/);
+  });
+
+  it('raises an alert for values changing too fast', () => {
+    const alerts = monitor([{ key: 'tanks.fuel.0.currentLevel', rate: 0.01 }]);
+    assert.deepEqual(alerts.check(reading(0.8, NOW), NOW), []);
+    assert.deepEqual(alerts.check(reading(0.795, NOW + MINUTE), NOW + MINUTE), []);
+    const [change] = alerts.check(reading(0.7, NOW + 2 * MINUTE), NOW + 2 * MINUTE);
+    assert.match(change.message, /changing faster than 0.01 per minute/);
+  });
+
+  it('raises an alert for values that are not updated', () => {
+    const alerts = monitor([{ key: 'batteryVoltageKey', min: 12, staleAfter: 60 }]);
+    assert.deepEqual(alerts.check(reading(12.5, NOW), NOW + 30 * 1000), []);
+    const [stale] = alerts.check(reading(12.5, NOW), NOW + 2 * MINUTE);
+    assert.match(stale.message, /has not been updated for more than 60 seconds/);
+    assert.deepEqual(alerts.check(() => null, NOW + 3 * MINUTE), []);
+    assert.equal(alerts.check(reading(12.5, NOW + 3 * MINUTE), NOW + 3 * MINUTE)[0].state, 'normal');
+  });
+
+  it('forgets the condition of rules that are removed', () => {
+    const alerts = monitor([{ key: 'batteryVoltageKey', min: 12 }]);
+    alerts.check(reading(11), NOW);
+    alerts.setRules([], key => key);
+    assert.deepEqual(alerts.conditions, {});
+  });
+});
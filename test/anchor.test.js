@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AnchorWatch } = require('../lib/anchor');
+
+const ANCHOR = { latitude: 50, longitude: 10 };
+
+// A position n meters north of the anchor
+function at(meters) {
+  return { latitude: 50 + meters / 1852 / 60, longitude: 10 };
+}
+
+// Feeds the same distance often enough to fill the median window
+function settle(watch, meters, radius = 50) {
+  let change = null;
+  for (let i = 0; i < 5; i++) {
+    change = watch.update(at(meters), ANCHOR, radius) || change;
+  }
+  return change;
+}
+
+describe('AnchorWatch', () => {
+  it('stays quiet within the swing radius', () => {
+    const watch = new AnchorWatch();
+    assert.equal(settle(watch, 30), null);
+    assert.equal(watch.state, 'normal');
+    assert.ok(Math.abs(watch.distance - 30) < 0.5);
+  });
+
+  it('raises an alert when dragging and an emergency further out', () => {
+    const watch = new AnchorWatch();
+    settle(watch, 30);
+    assert.deepEqual(settle(watch, 60), { state: 'alert', distance: 60, radius: 50 });
+    assert.deepEqual(settle(watch, 80), { state: 'emergency', distance: 80, radius: 50 });
+  });
+
+  it('ignores single jumps of the GPS', () => {
+    const watch = new AnchorWatch();
+    settle(watch, 30);
+    assert.equal(watch.update(at(200), ANCHOR, 50), null);
+    assert.equal(watch.update(at(30), ANCHOR, 50), null);
+    assert.equal(watch.state, 'normal');
+  });
+
+  it('clears only once well back within the limits', () => {
+    const watch = new AnchorWatch();
+    settle(watch, 80);
+    assert.equal(settle(watch, 70), null);
+    assert.deepEqual(settle(watch, 55), { state: 'alert', distance: 55, radius: 50 });
+    assert.equal(settle(watch, 47), null);
+    assert.deepEqual(settle(watch, 40), { state: 'normal', distance: 40, radius: 50 });
+  });
+
+  it('resets when the anchor is raised', () => {
+    const watch = new AnchorWatch();
+    settle(watch, 60);
+    assert.deepEqual(watch.update(at(60), null, 50), { state: 'normal', distance: null, radius: 50 });
+    assert.equal(watch.distances.length, 0);
+    assert.equal(watch.update(at(60), ANCHOR, 0), null);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GpsClock } = require('../lib/clock');
+
+const HOUR = 60 * 60 * 1000;
+const GPS_TIME = Date.UTC(2024, 5, 1, 12);
+const BOOT = Date.UTC(1970, 0, 1, 0, 5);   // A Raspberry Pi without a real-time clock
+
+function iso(ts) {
+  return new Date(ts).toISOString();
+}
+
+describe('GpsClock', () => {
+  it('trusts the system clock until GPS time is seen', t => {
+    t.mock.method(Date, 'now', () => BOOT);
+    const clock = new GpsClock();
+    assert.equal(clock.synced, false);
+    assert.equal(clock.now(), BOOT);
+    assert.equal(clock.repair(BOOT - HOUR), BOOT - HOUR);
+  });
+
+  it('ignores GPS time that is missing or implausible', () => {
+    const clock = new GpsClock();
+    assert.equal(clock.update('not a date'), false);
+    assert.equal(clock.update('1980-01-06T00:00:00Z'), false);
+    assert.equal(clock.synced, false);
+  });
+
+  it('keeps no offset for a system clock within the threshold', t => {
+    t.mock.method(Date, 'now', () => GPS_TIME - 5000);
+    const clock = new GpsClock();
+    assert.equal(clock.update(iso(GPS_TIME)), true);
+    assert.equal(clock.offset, 0);
+    assert.equal(clock.driftDetectedOn, null);
+    assert.equal(clock.update(iso(GPS_TIME + 10000)), false);
+  });
+
+  it('follows a drifting system clock', t => {
+    t.mock.method(Date, 'now', () => GPS_TIME - 3 * HOUR);
+    const clock = new GpsClock();
+    assert.equal(clock.update(iso(GPS_TIME)), true);
+    assert.equal(clock.offset, 3 * HOUR);
+    assert.equal(clock.driftDetectedOn, GPS_TIME - 3 * HOUR);
+    assert.equal(clock.now(), GPS_TIME);
+    // Small changes in the drift are not worth repairing anything for
+    assert.equal(clock.update(iso(GPS_TIME + 5000)), false);
+    assert.equal(clock.update(iso(GPS_TIME - 2 * HOUR)), true);
+    assert.equal(clock.offset, HOUR);
+  });
+
+  it('uses the time of sources that stamp their own', t => {
+    t.mock.method(Date, 'now', () => GPS_TIME - 3 * HOUR);
+    const clock = new GpsClock();
+    clock.update(iso(GPS_TIME));
+    assert.equal(clock.timestampOf(iso(GPS_TIME - 2000)), GPS_TIME - 2000);
+  });
+
+  it('shifts timestamps taken from the system clock', t => {
+    t.mock.method(Date, 'now', () => GPS_TIME - 3 * HOUR);
+    const clock = new GpsClock();
+    clock.update(iso(GPS_TIME));
+    assert.equal(clock.timestampOf(iso(GPS_TIME - 3 * HOUR - 1000)), GPS_TIME - 1000);
+    assert.equal(clock.timestampOf('garbage'), GPS_TIME);
+    assert.equal(clock.timestampOf(iso(BOOT)), GPS_TIME);
+  });
+
+  it('repairs timestamps logged before the drift was known', t => {
+    t.mock.method(Date, 'now', () => BOOT);
+    const clock = new GpsClock();
+    clock.update(iso(GPS_TIME));
+    assert.equal(clock.repair(BOOT - 10 * 60 * 1000), GPS_TIME - 10 * 60 * 1000);
+    assert.equal(clock.repair(GPS_TIME - HOUR), GPS_TIME - HOUR);
+  });
+});
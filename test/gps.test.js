@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PositionSourceSelector } = require('../lib/gps');
+
+const SECOND = 1000;
+
+// A position n meters north of 50N 10E
+function at(meters) {
+  return { latitude: 50 + meters / 1852 / 60, longitude: 10 };
+}
+
+describe('PositionSourceSelector', () => {
+  it('uses the first listed source that is sending and ignores others', () => {
+    const selector = new PositionSourceSelector(['a', 'b']);
+    assert.equal(selector.accept('a', at(0), 0, 5), true);
+    assert.equal(selector.accept('x', at(0), 1 * SECOND, 5), false);
+    assert.equal(selector.accept('b', at(0), 1 * SECOND, 5), false);
+    assert.equal(selector.accept('a', at(2), 2 * SECOND, 5), true);
+    assert.equal(selector.active, 'a');
+  });
+
+  it('fails over when a source stops and back when it returns', () => {
+    const selector = new PositionSourceSelector(['a', 'b']);
+    selector.accept('a', at(0), 0, 5);
+    assert.equal(selector.accept('b', at(10), 20 * SECOND, 5), false);
+    assert.equal(selector.accept('b', at(100), 40 * SECOND, 5), true);
+    assert.equal(selector.active, 'b');
+    assert.deepEqual(selector.lastFailover, { from: 'a', to: 'b', ts: 40 * SECOND });
+
+    assert.equal(selector.accept('a', at(110), 41 * SECOND, 5), true);
+    assert.equal(selector.active, 'a');
+    assert.equal(selector.failovers, 2);
+  });
+
+  it('rejects fixes further from the last position than the boat could go', () => {
+    const selector = new PositionSourceSelector(['a', 'b']);
+    selector.accept('a', at(0), 0, 5);
+    selector.accept('b', at(0), 40 * SECOND, 5);
+    assert.equal(selector.accept('b', at(5000), 41 * SECOND, 5), false);
+    // Compared with the last position used, not the source's own
+    assert.equal(selector.accept('a', at(8000), 42 * SECOND, 5), false);
+    assert.equal(selector.active, 'b');
+    assert.equal(selector.rejected, 2);
+  });
+
+  it('trusts a source again after it keeps reporting the new position', () => {
+    const selector = new PositionSourceSelector([]);
+    selector.accept('a', at(0), 0, 0);
+    for (let i = 1; i <= 5; i++) {
+      assert.equal(selector.accept('a', at(5000), i * SECOND, 0), false);
+    }
+    assert.equal(selector.accept('a', at(5000), 6 * SECOND, 0), true);
+  });
+
+  it('stays with any source without a list', () => {
+    const selector = new PositionSourceSelector([undefined]);
+    assert.equal(selector.accept('x', at(0), 0), true);
+    assert.equal(selector.accept('y', at(0), 500), false);
+    assert.equal(selector.accept('x', at(1), 1 * SECOND), true);
+    assert.equal(selector.accept('y', at(1), 40 * SECOND), true);
+    assert.equal(selector.active, 'y');
+  });
+
+  it('ignores invalid positions', () => {
+    const selector = new PositionSourceSelector([]);
+    assert.equal(selector.accept('x', { latitude: 91, longitude: 0 }, 0), false);
+    assert.equal(selector.accept('x', { latitude: null, longitude: null }, 0), false);
+    assert.equal(selector.active, null);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LogParser, parseLog, detectFormat } = require('../lib/importer');
+
+const START = Date.UTC(2024, 5, 1, 10, 0, 0);
+
+function nmea(body) {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return `$${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+// RMC at 10:mm:ss on 1 June 2024, 59°30'N 10°15'E
+function rmc(minute, second, sog = 5.5, cog = 90) {
+  const time = `10${String(minute).padStart(2, '0')}${String(second).padStart(2, '0')}.00`;
+  return nmea(`GPRMC,${time},A,5930.000,N,01015.000,E,${sog},${cog},010624,,,A`);
+}
+
+describe('LogParser', () => {
+  it('detects the format', () => {
+    assert.equal(detectFormat('<?xml version="1.0"?><gpx>'), 'gpx');
+    assert.equal(detectFormat(rmc(0, 0)), 'nmea');
+    assert.equal(detectFormat('{"updates":[]}'), 'signalk');
+    assert.equal(detectFormat('1717236000000;nmea;{"updates":[]}'), 'signalk');
+    assert.equal(detectFormat('hello'), null);
+  });
+
+  it('makes one row per minute from a GPX track', () => {
+    const points = [0, 20, 40, 60, 80].map(s => `
+      <trkpt lat="59.5" lon="${10 + s / 1000}"><time>${new Date(START + s * 1000).toISOString()}</time><speed>3</speed></trkpt>`);
+    const rows = parseLog(`<?xml version="1.0"?><gpx><trk><trkseg>${points.join('')}</trkseg></trk></gpx>`);
+    assert.deepEqual(rows.map(row => row.ts), [START + 40 * 1000, START + 80 * 1000]);
+    assert.equal(rows[0].longitude, 10.04);
+    assert.equal(rows[0].speedOverGround, 5.8);
+    assert.equal(rows[0].backfill, true);
+  });
+
+  it('reads positions from RMC and apparent wind from MWV', () => {
+    const rows = parseLog([
+      rmc(0, 10, 5.5, 90),
+      nmea('WIMWV,270.0,R,10.0,N,A'),
+      rmc(0, 40, 6.5, 95),
+      nmea('WIMWV,30.0,R,18.52,K,A'),
+      '$GPRMC,100050.00,A,5930.000,N,01015.000,E,9.9,90,010624,,,A*00',
+      rmc(1, 5, 4)
+    ].join('\n'));
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].ts, START + 40 * 1000);
+    assert.equal(rows[0].latitude, 59.5);
+    assert.equal(rows[0].longitude, 10.25);
+    assert.equal(rows[0].speedOverGround, 6.5);
+    assert.equal(rows[0].courseOverGroundTrue, 95);
+    assert.equal(rows[0].windSpeedApparent, 10);
+    assert.equal(rows[0].angleSpeedApparent, 30);
+    assert.equal(rows[1].speedOverGround, 4);
+  });
+
+  it('reads Signal K deltas about this vessel only', () => {
+    const delta = (context, seconds, values) => JSON.stringify({
+      context: context,
+      updates: [{ timestamp: new Date(START + seconds * 1000).toISOString(), values: values }]
+    });
+    const rows = parseLog([
+      delta('vessels.self', 0, [
+        { path: 'navigation.position', value: { latitude: 59.5, longitude: 10.25 } },
+        { path: 'navigation.speedOverGround', value: 3 },
+        { path: 'environment.wind.angleApparent', value: -Math.PI / 2 },
+        { path: 'propulsion.port.runTime', value: 36000 }
+      ]),
+      delta('vessels.urn:mrn:imo:mmsi:123456789', 10, [
+        { path: 'navigation.position', value: { latitude: 1, longitude: 2 } }
+      ]),
+      `${START + 20 * 1000};signalk;${delta('vessels.urn:mrn:imo:mmsi:987654321', 20, [
+        { path: 'navigation.speedOverGround', value: 4 }
+      ])}`
+    ].join('\n'), null, 'vessels.urn:mrn:imo:mmsi:987654321');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].latitude, 59.5);
+    assert.equal(rows[0].speedOverGround, 7.8);
+    assert.equal(rows[0].angleSpeedApparent, -90);
+    assert.deepEqual(rows[0].engines, { port: { hours: 10 } });
+    assert.equal(rows[0].portEngineHours, 10);
+  });
+
+  it('takes the log in pieces cut anywhere', () => {
+    const text = Array.from({ length: 30 }, (_, i) => rmc(Math.floor(i / 3), (i % 3) * 20)).join('\r\n');
+    const parser = new LogParser('nmea');
+    for (let i = 0; i < text.length; i += 7) {
+      parser.write(text.slice(i, i + 7));
+    }
+    assert.deepEqual(parser.end(), parseLog(text));
+    assert.equal(parseLog(text).length, 10);
+  });
+
+  it('only keeps the rows, not every sample', () => {
+    const parser = new LogParser('nmea');
+    for (let minute = 0; minute < 60; minute++) {
+      parser.write([0, 15, 30, 45].map(second => rmc(minute, second)).join('\n') + '\n');
+      assert.ok(parser.builder.open.size <= 2);
+    }
+    const rows = parser.end();
+    assert.equal(rows.length, 60);
+    assert.deepEqual(rows.slice(0, 2).map(row => row.ts), [START + 45 * 1000, START + 105 * 1000]);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => new LogParser('csv'), /Unknown format/);
+    assert.throws(() => parseLog('hello'), /Unrecognised log format/);
+  });
+});
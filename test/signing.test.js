@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { RequestSigner } = require('../lib/signing');
+
+const NOW = Date.UTC(2024, 5, 1);
+const SECRET = Buffer.from('first secret').toString('base64');
+const ROTATED = Buffer.from('second secret').toString('base64');
+
+function hmac(secret, text) {
+  return crypto.createHmac('sha256', Buffer.from(secret, 'base64')).update(text).digest('hex');
+}
+
+function sha256(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+// A response as the server signs it
+function response(secret, nonce, body, issued = '') {
+  const timestamp = String(NOW);
+  const headers = { 'x-saillogger-timestamp': timestamp };
+  if (issued) {
+    headers['x-saillogger-secret'] = issued;
+  }
+  if (secret) {
+    headers['x-saillogger-signature'] = 'v1=' + hmac(secret, [timestamp, nonce, 200, sha256(body), issued].join('\n'));
+  }
+  return { statusCode: 200, headers: headers };
+}
+
+describe('RequestSigner', () => {
+  it('signs the method, path, body and time', () => {
+    const signer = new RequestSigner({ secret: SECRET }, { now: () => NOW });
+    const headers = signer.sign('post', '/api/v1/collector/abc/push', '[]');
+    assert.equal(headers['X-Saillogger-Timestamp'], String(NOW));
+    assert.match(headers['X-Saillogger-Nonce'], /^[0-9a-f]{32}$/);
+    const text = [NOW, headers['X-Saillogger-Nonce'], 'POST', '/api/v1/collector/abc/push', sha256('[]')].join('\n');
+    assert.equal(headers['X-Saillogger-Signature'], 'v1=' + hmac(SECRET, text));
+    assert.notEqual(signer.sign('POST', '/', '')['X-Saillogger-Nonce'], headers['X-Saillogger-Nonce']);
+  });
+
+  it('signs nothing and takes a secret only over HTTPS before enrolment', () => {
+    const saved = [];
+    const signer = new RequestSigner(null, { now: () => NOW, onChange: state => saved.push(state) });
+    assert.equal(signer.enabled, false);
+    assert.deepEqual(signer.sign('GET', '/', ''), {});
+
+    assert.equal(signer.verify(response(null, 'n', '', SECRET), '', 'n', false), null);
+    assert.equal(signer.enabled, false);
+    assert.equal(signer.verify(response(null, 'n', '', SECRET), '', 'n', true), null);
+    assert.equal(signer.secret, SECRET);
+    assert.deepEqual(saved, [{ secret: SECRET, previous: null, rotatedAt: NOW }]);
+  });
+
+  it('accepts genuine responses only', () => {
+    const signer = new RequestSigner({ secret: SECRET });
+    assert.equal(signer.verify(response(SECRET, 'n1', '{"ok":1}'), '{"ok":1}', 'n1', true), null);
+    assert.equal(signer.verify(response(null, 'n1', '{}'), '{}', 'n1', true), 'Response is not signed');
+    assert.equal(signer.verify(response(SECRET, 'n1', '{"ok":1}'), '{"ok":2}', 'n1', true), 'Response signature is invalid');
+    assert.equal(signer.verify(response(SECRET, 'n1', '{}'), '{}', 'n2', true), 'Response signature is invalid');
+    assert.equal(signer.verify(response(ROTATED, 'n1', '{}'), '{}', 'n1', true), 'Response signature is invalid');
+  });
+
+  it('rotates to a secret handed out in a signed response', () => {
+    const saved = [];
+    const signer = new RequestSigner({ secret: SECRET }, { now: () => NOW, onChange: state => saved.push(state) });
+    assert.equal(signer.verify(response(SECRET, 'n1', '', ROTATED), '', 'n1', true), null);
+    assert.equal(signer.secret, ROTATED);
+    assert.equal(signer.previous, SECRET);
+
+    // Responses still signed with the old secret pass, but cannot rotate again
+    assert.equal(signer.verify(response(SECRET, 'n2', '', SECRET), '', 'n2', true), null);
+    assert.equal(signer.secret, ROTATED);
+
+    assert.equal(signer.verify(response(ROTATED, 'n3', ''), '', 'n3', true), null);
+    assert.equal(signer.previous, null);
+    assert.deepEqual(saved, [
+      { secret: ROTATED, previous: SECRET, rotatedAt: NOW },
+      { secret: ROTATED, previous: null, rotatedAt: NOW }
+    ]);
+  });
+
+  it('ignores a secret in a forged response', () => {
+    const signer = new RequestSigner({ secret: SECRET });
+    const forged = response(ROTATED, 'n1', '', ROTATED);
+    assert.equal(signer.verify(forged, '', 'n1', true), 'Response signature is invalid');
+    assert.equal(signer.secret, SECRET);
+  });
+});
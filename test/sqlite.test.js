@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteReader, readLegacyCache } = require('../lib/sqlite');
+
+// Cache of a version 3 install: 200 rows written newest first with ts in
+// seconds, one row without ts and one whose additionalData spills over onto
+// overflow pages. The 1 KB pages give the table interior pages as well.
+const FIXTURE = path.join(__dirname, 'fixtures', 'saillogger_v3.sqlite3');
+
+describe('readLegacyCache', () => {
+  it('reads the rows waiting to be sent, oldest first', () => {
+    const { rows, skipped } = readLegacyCache(FIXTURE);
+    assert.equal(rows.length, 201);
+    assert.equal(skipped, 1);
+    assert.deepEqual(rows.slice(0, 2).map(row => row.ts), [1700000000000, 1700000060000]);
+    assert.ok(rows.every((row, i) => i === 0 || row.ts > rows[i - 1].ts));
+  });
+
+  it('maps the columns to cache fields', () => {
+    const row = readLegacyCache(FIXTURE).rows[0];
+    assert.equal(row.latitude, 59.199);
+    assert.equal(row.speedOverGround, 5.5);
+    assert.equal(row.angleSpeedApparent, -45);
+    assert.equal(row.starboardEngineHours, null);
+    assert.deepEqual(JSON.parse(row.additionalData), { cabin: 199 });
+    assert.ok(!('id' in row));
+  });
+
+  it('follows overflow pages', () => {
+    const row = readLegacyCache(FIXTURE).rows[200];
+    assert.equal(JSON.parse(row.additionalData).log, 'x'.repeat(5000));
+  });
+
+  it('lists the tables and columns', () => {
+    const reader = new SqliteReader(FIXTURE);
+    assert.deepEqual(reader.tables().map(table => table.name), ['buffer']);
+    assert.equal(reader.columns('buffer')[0], 'id');
+    assert.equal(reader.rows('buffer')[0].id, 1);
+  });
+
+  it('rejects files that are not SQLite databases', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'saillogger-test-')), 'cache.sqlite3');
+    fs.writeFileSync(file, 'not a database');
+    try {
+      assert.throws(() => readLegacyCache(file), /not an SQLite database/);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
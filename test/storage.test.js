@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BufferStore } = require('../lib/storage');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 5, 1);
+
+function rows(count, from = START, interval = MINUTE) {
+  return Array.from({ length: count }, (_, i) => ({
+    ts: from + i * interval,
+    latitude: 59 + i / 1000,
+    longitude: 10,
+    speedOverGround: i % 10
+  }));
+}
+
+function segmentFiles(dir) {
+  return fs.readdirSync(path.join(dir, 'buffer')).filter(file => /^\d+\.ndjson$/.test(file)).sort();
+}
+
+describe('BufferStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saillogger-test-'));
+    file = path.join(dir, 'buffer.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('hands out rows in time order and moves past the ones processed', () => {
+    const store = new BufferStore(file);
+    store.insertMany(rows(10).reverse());
+    assert.equal(store.count(), 10);
+    const batch = store.peek(4);
+    assert.deepEqual(batch.map(row => row.ts), rows(4).map(row => row.ts));
+    store.deleteUpTo(batch[batch.length - 1].ts);
+    assert.equal(store.count(), 6);
+    assert.equal(store.peek(1)[0].ts, START + 4 * MINUTE);
+  });
+
+  it('picks up where it left off after a restart', () => {
+    let store = new BufferStore(file, { segmentMaxBytes: 1000 });
+    store.insertMany(rows(20));
+    store.deleteUpTo(START + 4 * MINUTE);
+
+    store = new BufferStore(file, { segmentMaxBytes: 1000 });
+    assert.equal(store.count(), 15);
+    assert.equal(store.peek(1)[0].ts, START + 5 * MINUTE);
+    store.insert(rows(1, START + 20 * MINUTE)[0]);
+    assert.equal(store.count(), 16);
+  });
+
+  it('removes segments once the cursor is past them', () => {
+    const store = new BufferStore(file, { segmentMaxBytes: 1000 });
+    store.insertMany(rows(30));
+    const segments = segmentFiles(dir).length;
+    assert.ok(segments > 1);
+    store.deleteUpTo(START + 29 * MINUTE);
+    assert.equal(store.count(), 0);
+    assert.ok(segmentFiles(dir).length < segments);
+  });
+
+  it('spreads large inserts over segments of the configured size', () => {
+    const store = new BufferStore(file, { segmentMaxBytes: 2000 });
+    store.insertMany(rows(200));
+    const sizes = segmentFiles(dir).map(name => fs.statSync(path.join(dir, 'buffer', name)).size);
+    assert.ok(sizes.length > 10);
+    assert.ok(Math.max(...sizes) < 2500);
+    assert.equal(store.count(), 200);
+  });
+
+  it('keeps rows it has read up to date with later inserts', () => {
+    const store = new BufferStore(file);
+    store.insertMany(rows(3));
+    assert.equal(store.peek(10).length, 3);
+    store.insertMany(rows(3, START + 10 * MINUTE));
+    assert.equal(store.peek(10).length, 6);
+    assert.equal(new BufferStore(file).peek(10).length, 6);
+  });
+
+  it('quarantines corrupt lines and keeps the rest', () => {
+    let store = new BufferStore(file);
+    store.insertMany(rows(5));
+    store.deleteUpTo(START + MINUTE);
+    const segment = path.join(dir, 'buffer', segmentFiles(dir)[0]);
+    const lines = fs.readFileSync(segment, 'utf8').split('\n');
+    lines[3] = lines[3].replace('"latitude":59', '"latitude":58');
+    lines[4] = 'not a row';
+    fs.writeFileSync(segment, lines.join('\n'));
+
+    store = new BufferStore(file);
+    assert.equal(store.quarantined, 2);
+    assert.deepEqual(store.peek(10).map(row => row.ts), [START + 2 * MINUTE]);
+    assert.equal(fs.readFileSync(path.join(dir, 'buffer', 'quarantine.ndjson'), 'utf8').trim().split('\n').length, 2);
+  });
+
+  it('moves rows from a single file cache of earlier versions', () => {
+    fs.writeFileSync(file, rows(3).map(row => JSON.stringify(row)).join('\n') + '\n{broken\n');
+    const store = new BufferStore(file);
+    assert.equal(store.count(), 3);
+    assert.equal(store.quarantined, 1);
+    assert.ok(!fs.existsSync(file));
+  });
+
+  it('thins out the oldest rows to stay within the limit', () => {
+    const store = new BufferStore(file, { maxRows: 300, segmentMaxBytes: 4000 });
+    store.insertMany(rows(600));
+    const cached = store.peek(1000);
+    assert.ok(cached.length <= 300);
+    assert.equal(cached[cached.length - 1].ts, START + 599 * MINUTE);
+
+    // The latest rows are untouched, older ones merged into 5 minute (or
+    // coarser) rows keeping the highest speed
+    const last = cached.slice(-10).map(row => row.ts);
+    assert.deepEqual(last, rows(10, START + 590 * MINUTE).map(row => row.ts));
+    const merged = cached.find(row => row.ts < START + 5 * MINUTE);
+    assert.equal(merged.speedOverGround, 4);
+  });
+
+  it('drops the oldest rows when thinning is not enough', () => {
+    const store = new BufferStore(file, { maxRows: 20, segmentMaxBytes: 1000 });
+    store.insertMany(rows(2000));
+    assert.ok(store.count() <= 20);
+    assert.ok(store.downsampled.rows > 0);
+    assert.equal(store.peek(100).pop().ts, START + 1999 * MINUTE);
+  });
+
+  it('moves a cursor forward to another one', () => {
+    const store = new BufferStore(file, { cursors: ['full', 'positions'] });
+    store.insertMany(rows(10));
+    store.deleteUpTo(START + 2 * MINUTE, 'positions');
+    store.deleteUpTo(START + 5 * MINUTE, 'full');
+    store.catchUp('positions', 'full');
+    assert.equal(store.count('positions'), 4);
+    store.deleteUpTo(START + 8 * MINUTE, 'positions');
+    store.catchUp('positions', 'full');
+    assert.equal(store.count('positions'), 1);
+  });
+
+  it('keeps rows until every cursor is past them', () => {
+    const store = new BufferStore(file, { cursors: ['a', 'b'], segmentMaxBytes: 1000 });
+    store.insertMany(rows(30));
+    const segments = segmentFiles(dir).length;
+    assert.ok(segments > 1);
+
+    store.deleteUpTo(START + 29 * MINUTE, 'a');
+    assert.equal(store.count('a'), 0);
+    assert.equal(store.count('b'), 30);
+    assert.equal(segmentFiles(dir).length, segments);
+
+    store.deleteUpTo(START + 29 * MINUTE, 'b');
+    assert.equal(store.count('b'), 0);
+    assert.ok(segmentFiles(dir).length < segments);
+  });
+
+  it('keeps the place of every cursor over a restart', () => {
+    let store = new BufferStore(file, { cursors: ['a', 'b'], segmentMaxBytes: 1000 });
+    store.insertMany(rows(20));
+    store.deleteUpTo(START + 4 * MINUTE, 'a');
+    store.deleteUpTo(START + 14 * MINUTE, 'b');
+
+    store = new BufferStore(file, { cursors: ['a', 'b'], segmentMaxBytes: 1000 });
+    assert.equal(store.count('a'), 15);
+    assert.equal(store.count('b'), 5);
+    assert.equal(store.peek(1, 'a')[0].ts, START + 5 * MINUTE);
+  });
+
+  it('starts a cursor added later at the oldest cached row', () => {
+    let store = new BufferStore(file);
+    store.insertMany(rows(10));
+    store.deleteUpTo(START + 4 * MINUTE);
+    store = new BufferStore(file, { cursors: ['default', 'rally'] });
+    assert.equal(store.count('default'), 5);
+    assert.equal(store.count('rally'), 10);
+  });
+
+  it('tells how many rows fit within a share of the limit', () => {
+    const store = new BufferStore(file, { maxRows: 100 });
+    store.insertMany(rows(30));
+    assert.equal(store.room(rows(50, START + 30 * MINUTE), 0.5), 20);
+    assert.equal(store.room(rows(50, START + 30 * MINUTE)), 50);
+    assert.equal(new BufferStore(path.join(dir, 'unlimited.ndjson')).room(rows(50)), 50);
+  });
+
+  it('does not skip older rows appended behind newer ones', () => {
+    const store = new BufferStore(file);
+    store.insertMany(rows(5, START + 60 * MINUTE));
+    store.insertMany(rows(5));
+    const batch = store.peek(5);
+    store.deleteUpTo(batch[batch.length - 1].ts, undefined, batch.length);
+    assert.deepEqual(store.peek(10).map(row => row.ts), rows(5).map(row => row.ts));
+  });
+});
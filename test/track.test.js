@@ -0,0 +1,47 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TrackArchive } = require('../lib/track');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2024, 5, 1, 23, 50);
+const BOOT = Date.UTC(1970, 0, 1);
+
+function point(ts) {
+  return { ts: ts, latitude: 59.5, longitude: 10.25, speedOverGround: 5 };
+}
+
+describe('TrackArchive', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saillogger-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('files points by day and leaves out rows without a position', () => {
+    const archive = new TrackArchive(dir);
+    archive.appendMany([point(START), { ts: START + MINUTE, latitude: null, longitude: null }, point(START + 20 * MINUTE)]);
+    archive.append(point(START + 30 * MINUTE));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['2024-06-01.ndjson', '2024-06-02.ndjson']);
+    assert.deepEqual(archive.query(START, START + HOUR).map(p => p.ts), [START, START + 20 * MINUTE, START + 30 * MINUTE]);
+  });
+
+  it('moves points logged with a wrong clock to their day', () => {
+    const archive = new TrackArchive(dir);
+    const offset = START - BOOT;
+    archive.appendMany([point(BOOT), point(BOOT + 15 * MINUTE)]);
+    archive.append(point(START + 20 * MINUTE));
+    const repaired = archive.repairTimestamps(ts => ts < START - 24 * HOUR ? ts + offset : ts);
+    assert.equal(repaired, 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['2024-06-01.ndjson', '2024-06-02.ndjson']);
+    assert.deepEqual(archive.query(START, START + HOUR).map(p => p.ts), [START, START + 15 * MINUTE, START + 20 * MINUTE]);
+    assert.equal(archive.repairTimestamps(ts => ts), 0);
+  });
+});
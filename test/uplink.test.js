@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUplink } = require('../lib/uplink');
+const { BufferStore } = require('../lib/storage');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 5, 1);
+
+function mqttUplink() {
+  const uplink = createUplink('mqtt', 'mqtt://127.0.0.1:1', 'abc');
+  uplink.client.end(true);
+  uplink.published = [];
+  uplink.client = {
+    connected: true,
+    publish: (topic, message, options, callback) => {
+      uplink.published.push({ topic, message });
+      callback();
+    },
+    end: () => {}
+  };
+  return uplink;
+}
+
+describe('MqttUplink', () => {
+  it('acknowledges a batch up to its newest row', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saillogger-test-'));
+    try {
+      const store = new BufferStore(path.join(dir, 'buffer.ndjson'));
+      // A live row followed by older imported ones
+      store.insert({ ts: START + 600 * MINUTE, latitude: 1, longitude: 2 });
+      store.insertMany(Array.from({ length: 59 }, (_, i) => ({ ts: START + i * MINUTE, latitude: 1, longitude: 2 })));
+      const rows = store.peek(60);
+
+      const uplink = mqttUplink();
+      const body = await new Promise((resolve, reject) => {
+        uplink.push(rows, null, (error, response, body) => error ? reject(error) : resolve(body));
+      });
+      assert.equal(uplink.published[0].topic, 'saillogger/abc/push');
+      const { processedUntil } = JSON.parse(body);
+      assert.equal(processedUntil, START + 600 * MINUTE);
+
+      store.deleteUpTo(processedUntil, undefined, rows.length);
+      assert.equal(store.count(), 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTrueWind, WindDamper } = require('../lib/wind');
+
+const DEG = Math.PI / 180;
+const NOW = Date.UTC(2024, 5, 1);
+
+function close(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+}
+
+describe('computeTrueWind', () => {
+  it('takes the boat speed through the water out of the apparent wind', () => {
+    const wind = computeTrueWind({ speedApparent: 10, angleApparent: 45 * DEG, speedThroughWater: 5, speedOverGround: 9 });
+    close(wind.speedTrue, Math.hypot(10 * Math.SQRT1_2 - 5, 10 * Math.SQRT1_2));
+    close(wind.angleTrueWater, Math.atan2(10 * Math.SQRT1_2, 10 * Math.SQRT1_2 - 5));
+    assert.equal(wind.directionGround, null);
+  });
+
+  it('falls back to the speed over ground', () => {
+    const wind = computeTrueWind({ speedApparent: 10, angleApparent: 0, speedOverGround: 4 });
+    close(wind.speedTrue, 6);
+    close(wind.angleTrueWater, 0);
+  });
+
+  it('gives the wind over ground from the course and heading', () => {
+    const wind = computeTrueWind({
+      speedApparent: 10, angleApparent: 0, speedOverGround: 5, courseOverGround: 90 * DEG, heading: 90 * DEG
+    });
+    close(wind.speedOverGround, 5);
+    close(wind.directionGround, 90 * DEG);
+    close(wind.angleTrueGround, 0);
+  });
+
+  it('tells the current apart from the wind', () => {
+    // Drifting east with the current in a flat calm
+    const wind = computeTrueWind({
+      speedApparent: 2, angleApparent: 90 * DEG, speedThroughWater: 0,
+      speedOverGround: 2, courseOverGround: 90 * DEG, heading: 0
+    });
+    close(wind.speedTrue, 2);
+    close(wind.speedOverGround, 0);
+  });
+
+  it('needs the apparent wind and a boat speed', () => {
+    assert.equal(computeTrueWind({ speedApparent: 10, angleApparent: null, speedOverGround: 5 }), null);
+    assert.equal(computeTrueWind({ speedApparent: 10, angleApparent: 0 }), null);
+  });
+});
+
+describe('WindDamper', () => {
+  const wind = (speed, direction) => ({
+    speedTrue: speed, angleTrueWater: 0, speedOverGround: speed, directionGround: direction, angleTrueGround: 0
+  });
+
+  it('starts at the first value', () => {
+    const damped = new WindDamper().update(wind(10, 90 * DEG), NOW);
+    close(damped.speedTrue, 10);
+    close(damped.directionGround, 90 * DEG);
+  });
+
+  it('moves towards new values with the time constant', () => {
+    const damper = new WindDamper(15000);
+    damper.update(wind(10, 90 * DEG), NOW);
+    const damped = damper.update(wind(20, 90 * DEG), NOW + 15000);
+    close(damped.speedTrue, 20 - 10 * Math.exp(-1));
+    close(damper.update(wind(20, 90 * DEG), NOW + 15 * 60 * 1000).speedTrue, 20, 1e-3);
+  });
+
+  it('averages directions across north', () => {
+    const damper = new WindDamper();
+    damper.update(wind(10, 350 * DEG), NOW);
+    const damped = damper.update(wind(10, 10 * DEG), NOW + 15000);
+    assert.ok(damped.directionGround > 350 * DEG || damped.directionGround < 10 * DEG);
+  });
+
+  it('passes on missing wind', () => {
+    assert.equal(new WindDamper().update(null, NOW), null);
+  });
+});